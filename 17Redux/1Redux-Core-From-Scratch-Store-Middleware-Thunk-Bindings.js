@@ -0,0 +1,462 @@
+/**
+ * 📘 React Notes
+ * Topic: Redux Core From Scratch – Store, Reducers, Middleware, Thunk & React Bindings
+ *
+ * Beginner Friendly Explanation:
+ * ------------------------------
+ * Redux = ONE central store that holds the whole app state.
+ * - The state is read-only. To change it, you `dispatch` an action (a plain object).
+ * - A reducer `(state, action) => newState` decides how the state changes.
+ * - Components `subscribe` to the store and re-render when the data they need changes.
+ *
+ * Redux Flow:
+ *   UI → dispatch(action) → middleware → reducer → new state → subscribers → UI
+ *
+ * The real library is small, so the best way to understand it is to build it.
+ * Everything below follows Redux's own rules (same errors, same edge cases):
+ * - createStore, combineReducers, compose, applyMiddleware
+ * - thunk middleware
+ * - React bindings: <Provider>, useSelector, useDispatch
+ *
+ * Analogy: A bank. You can't edit your balance directly (read-only state).
+ * You fill a form (action), the teller (reducer) applies it, and you get notified.
+ */
+
+import React, { createContext, useContext, useMemo, useSyncExternalStore } from "react";
+
+/**
+ * ===============================
+ * 1. createStore
+ * ===============================
+ */
+
+const randomString = () => Math.random().toString(36).substring(7).split("").join(".");
+
+// Private action types: reducers must never handle these explicitly
+const ActionTypes = {
+  INIT: `@@redux/INIT${randomString()}`,
+  REPLACE: `@@redux/REPLACE${randomString()}`,
+  PROBE_UNKNOWN_ACTION: () => `@@redux/PROBE_UNKNOWN_ACTION${randomString()}`,
+};
+
+const isPlainObject = (obj) => {
+  if (typeof obj !== "object" || obj === null) return false;
+  let proto = obj;
+  while (Object.getPrototypeOf(proto) !== null) proto = Object.getPrototypeOf(proto);
+  return Object.getPrototypeOf(obj) === proto || Object.getPrototypeOf(obj) === null;
+};
+
+export function createStore(reducer, preloadedState, enhancer) {
+  // createStore(reducer, enhancer) is allowed too
+  if (typeof preloadedState === "function" && enhancer === undefined) {
+    enhancer = preloadedState;
+    preloadedState = undefined;
+  }
+
+  if (enhancer !== undefined) {
+    if (typeof enhancer !== "function") throw new Error("Expected the enhancer to be a function.");
+    return enhancer(createStore)(reducer, preloadedState);
+  }
+
+  if (typeof reducer !== "function") throw new Error("Expected the root reducer to be a function.");
+
+  let currentReducer = reducer;
+  let currentState = preloadedState;
+  let currentListeners = new Map();
+  let nextListeners = currentListeners;
+  let listenerIdCounter = 0;
+  let isDispatching = false;
+
+  // Listeners are snapshotted per dispatch: (un)subscribing during a dispatch
+  // only affects the NEXT dispatch, never the one in progress.
+  const ensureCanMutateNextListeners = () => {
+    if (nextListeners === currentListeners) nextListeners = new Map(currentListeners);
+  };
+
+  function getState() {
+    if (isDispatching) {
+      throw new Error(
+        "You may not call store.getState() while the reducer is executing. " +
+          "The reducer has already received the state as an argument."
+      );
+    }
+    return currentState;
+  }
+
+  function subscribe(listener) {
+    if (typeof listener !== "function") throw new Error("Expected the listener to be a function.");
+    if (isDispatching) {
+      throw new Error("You may not call store.subscribe() while the reducer is executing.");
+    }
+
+    let isSubscribed = true;
+    ensureCanMutateNextListeners();
+    const id = listenerIdCounter++;
+    nextListeners.set(id, listener);
+
+    return function unsubscribe() {
+      if (!isSubscribed) return; // calling it twice is a no-op
+      if (isDispatching) {
+        throw new Error("You may not unsubscribe from a store listener while the reducer is executing.");
+      }
+      isSubscribed = false;
+      ensureCanMutateNextListeners();
+      nextListeners.delete(id);
+      currentListeners = null;
+    };
+  }
+
+  function dispatch(action) {
+    if (!isPlainObject(action)) {
+      throw new Error("Actions must be plain objects. Use custom middleware for async actions.");
+    }
+    if (typeof action.type === "undefined") {
+      throw new Error('Actions may not have an undefined "type" property.');
+    }
+    if (typeof action.type !== "string") {
+      throw new Error(`Action "type" property must be a string. Instead, received: ${typeof action.type}`);
+    }
+    if (isDispatching) throw new Error("Reducers may not dispatch actions.");
+
+    try {
+      isDispatching = true;
+      currentState = currentReducer(currentState, action);
+    } finally {
+      isDispatching = false;
+    }
+
+    // Updates are SYNCHRONOUS: state is new and listeners are called before dispatch returns
+    const listeners = (currentListeners = nextListeners);
+    listeners.forEach((listener) => listener());
+    return action;
+  }
+
+  // Used for code splitting / hot reloading reducers
+  function replaceReducer(nextReducer) {
+    if (typeof nextReducer !== "function") throw new Error("Expected the nextReducer to be a function.");
+    currentReducer = nextReducer;
+    dispatch({ type: ActionTypes.REPLACE });
+  }
+
+  // Every reducer returns its initial state for an unknown action → fills the tree
+  dispatch({ type: ActionTypes.INIT });
+
+  return { dispatch, subscribe, getState, replaceReducer };
+}
+
+/**
+ * ===============================
+ * 2. combineReducers (one reducer per "slice" of state)
+ * ===============================
+ * { user: userReducer, cart: cartReducer } → state = { user: ..., cart: ... }
+ */
+
+export function combineReducers(reducers) {
+  const finalReducers = {};
+  Object.keys(reducers).forEach((key) => {
+    if (process.env.NODE_ENV !== "production" && reducers[key] === undefined) {
+      console.warn(`No reducer provided for key "${key}"`);
+    }
+    if (typeof reducers[key] === "function") finalReducers[key] = reducers[key];
+  });
+  const finalKeys = Object.keys(finalReducers);
+
+  // Each slice reducer must return a defined initial state, also for unknown actions
+  let shapeError;
+  try {
+    finalKeys.forEach((key) => {
+      const reducer = finalReducers[key];
+      if (reducer(undefined, { type: ActionTypes.INIT }) === undefined) {
+        throw new Error(
+          `The slice reducer for key "${key}" returned undefined during initialization. ` +
+            "If you don't want to set a value, use null instead of undefined."
+        );
+      }
+      if (reducer(undefined, { type: ActionTypes.PROBE_UNKNOWN_ACTION() }) === undefined) {
+        throw new Error(
+          `The slice reducer for key "${key}" returned undefined when probed with a random type. ` +
+            "Don't handle private @@redux/* actions; return the current state for unknown actions."
+        );
+      }
+    });
+  } catch (error) {
+    shapeError = error;
+  }
+
+  return function combination(state = {}, action) {
+    if (shapeError) throw shapeError;
+
+    if (process.env.NODE_ENV !== "production" && action.type !== ActionTypes.INIT) {
+      const unexpected = Object.keys(state).filter((key) => !(key in finalReducers));
+      if (unexpected.length > 0 && action.type !== ActionTypes.REPLACE) {
+        console.warn(`Unexpected keys ${unexpected.join(", ")} found in state. They will be ignored.`);
+      }
+    }
+
+    let hasChanged = false;
+    const nextState = {};
+    finalKeys.forEach((key) => {
+      const previousStateForKey = state[key];
+      const nextStateForKey = finalReducers[key](previousStateForKey, action);
+      if (nextStateForKey === undefined) {
+        throw new Error(
+          `When called with an action of type "${action.type}", the slice reducer for key "${key}" returned undefined.`
+        );
+      }
+      nextState[key] = nextStateForKey;
+      hasChanged = hasChanged || nextStateForKey !== previousStateForKey;
+    });
+    // Also changed if slices were removed (e.g. after replaceReducer)
+    hasChanged = hasChanged || finalKeys.length !== Object.keys(state).length;
+
+    // Same reference when nothing changed → selectors and React can skip work
+    return hasChanged ? nextState : state;
+  };
+}
+
+/**
+ * ===============================
+ * 3. compose & applyMiddleware
+ * ===============================
+ * compose(f, g, h)(x) === f(g(h(x)))
+ * Middleware: ({ getState, dispatch }) => next => action => result
+ */
+
+export function compose(...funcs) {
+  if (funcs.length === 0) return (arg) => arg;
+  if (funcs.length === 1) return funcs[0];
+  return funcs.reduce((a, b) => (...args) => a(b(...args)));
+}
+
+export function applyMiddleware(...middlewares) {
+  return (createStore) => (reducer, preloadedState) => {
+    const store = createStore(reducer, preloadedState);
+    let dispatch = () => {
+      throw new Error(
+        "Dispatching while constructing your middleware is not allowed. " +
+          "Other middleware would not be applied to this dispatch."
+      );
+    };
+
+    // `dispatch` here goes through the WHOLE chain again (thunks dispatching thunks)
+    const middlewareAPI = {
+      getState: store.getState,
+      dispatch: (action, ...args) => dispatch(action, ...args),
+    };
+    const chain = middlewares.map((middleware) => middleware(middlewareAPI));
+    dispatch = compose(...chain)(store.dispatch);
+
+    return { ...store, dispatch };
+  };
+}
+
+/**
+ * ===============================
+ * 4. Thunk middleware
+ * ===============================
+ * dispatch(function) → the function runs with (dispatch, getState, extraArgument).
+ * This is where async logic (API calls) lives; plain actions go to the reducer.
+ */
+
+function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => (next) => (action) => {
+    if (typeof action === "function") return action(dispatch, getState, extraArgument);
+    return next(action);
+  };
+}
+
+export const thunk = createThunkMiddleware();
+thunk.withExtraArgument = createThunkMiddleware; // e.g. inject an API client
+
+/**
+ * ===============================
+ * 5. React bindings (mini react-redux)
+ * ===============================
+ * - <Provider store> puts the store in Context (the store object never changes,
+ *   so Context itself never re-renders anything).
+ * - useSelector subscribes through useSyncExternalStore → tearing-safe, and the
+ *   component re-renders only when its selected value changes (equalityFn).
+ */
+
+const ReactReduxContext = createContext(null);
+
+export const Provider = ({ store, children }) => (
+  <ReactReduxContext.Provider value={store}>{children}</ReactReduxContext.Provider>
+);
+
+export const useStore = () => {
+  const store = useContext(ReactReduxContext);
+  if (!store) throw new Error("could not find react-redux context value; wrap the component in a <Provider>");
+  return store;
+};
+
+export const useDispatch = () => useStore().dispatch;
+
+const refEquality = (a, b) => a === b;
+
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+export const useSelector = (selector, equalityFn = refEquality) => {
+  const store = useStore();
+
+  // Memoized selection: same state → same result; "equal" result → previous reference
+  const getSelection = useMemo(() => {
+    let hasMemo = false;
+    let memoState;
+    let memoSelection;
+    return () => {
+      const state = store.getState();
+      if (hasMemo && memoState === state) return memoSelection;
+      const nextSelection = selector(state);
+      if (!hasMemo || !equalityFn(memoSelection, nextSelection)) memoSelection = nextSelection;
+      hasMemo = true;
+      memoState = state;
+      return memoSelection;
+    };
+  }, [store, selector, equalityFn]);
+
+  return useSyncExternalStore(store.subscribe, getSelection, getSelection);
+};
+
+/**
+ * ===============================
+ * 6. Putting it together
+ * ===============================
+ */
+
+// Slice reducers (a "slice" = one key of the state + the reducer that owns it)
+const counterReducer = (state = { value: 0 }, action) => {
+  switch (action.type) {
+    case "counter/incremented":
+      return { value: state.value + 1 };
+    case "counter/added":
+      return { value: state.value + action.payload };
+    default:
+      return state; // ✅ unknown actions → same reference
+  }
+};
+
+const usersReducer = (state = { list: [], status: "idle" }, action) => {
+  switch (action.type) {
+    case "users/loading":
+      return { ...state, status: "loading" };
+    case "users/loaded":
+      return { list: action.payload, status: "idle" };
+    default:
+      return state;
+  }
+};
+
+const rootReducer = combineReducers({ counter: counterReducer, users: usersReducer });
+
+// Thunk with an injected API client (easy to fake in tests)
+const api = { getUsers: () => fetch("/api/users").then((res) => res.json()) };
+
+const loadUsers = () => async (dispatch, getState, { api }) => {
+  if (getState().users.status === "loading") return; // avoid duplicate requests
+  dispatch({ type: "users/loading" });
+  dispatch({ type: "users/loaded", payload: await api.getUsers() });
+};
+
+const logger = ({ getState }) => (next) => (action) => {
+  console.log("dispatching", action);
+  const result = next(action);
+  console.log("next state", getState()); // already updated → dispatch is synchronous
+  return result;
+};
+
+export const store = createStore(
+  rootReducer,
+  applyMiddleware(thunk.withExtraArgument({ api }), logger)
+);
+
+const selectCount = (state) => state.counter.value;
+const selectUserSummary = (state) => ({
+  count: state.users.list.length,
+  loading: state.users.status === "loading",
+});
+
+const Counter = () => {
+  const count = useSelector(selectCount);
+  const dispatch = useDispatch();
+  return <button onClick={() => dispatch({ type: "counter/incremented" })}>Count: {count}</button>;
+};
+
+const UserSummary = () => {
+  // New object every time → shallowEqual keeps re-renders to real changes
+  const { count, loading } = useSelector(selectUserSummary, shallowEqual);
+  const dispatch = useDispatch();
+
+  React.useEffect(() => {
+    dispatch(loadUsers());
+  }, [dispatch]);
+
+  return <p>{loading ? "Loading users..." : `${count} users`}</p>;
+};
+
+const App = () => (
+  <Provider store={store}>
+    <Counter />
+    <UserSummary />
+  </Provider>
+);
+
+/**
+ * ✅ Behaviour this core shares with Redux
+ * (tested in 1Redux-Core-From-Scratch-Store-Middleware-Thunk-Bindings.test.js):
+ * ----------------------------------------------------------------------
+ * - Reducers receive `undefined` + a private INIT action → initial state is built at creation.
+ * - `dispatch` returns the action; state is updated synchronously before it returns.
+ * - Non-plain-object actions and missing/non-string `type` throw.
+ * - Reducers may not dispatch, read getState, subscribe or unsubscribe (throws).
+ * - Listeners (un)subscribed during a dispatch take effect from the NEXT dispatch.
+ * - Unsubscribing twice is a no-op.
+ * - combineReducers keeps the same state reference if no slice changed,
+ *   and throws if a slice reducer returns undefined.
+ * - Middleware `dispatch` goes through the whole chain; dispatching while the
+ *   middleware chain is being built throws.
+ * - `replaceReducer` dispatches a private REPLACE action to rebuild the state.
+ */
+
+/**
+ * ===============================
+ * Q & A (Interview Style)
+ * ===============================
+ *
+ * Q1: What is Redux?
+ * A1: A predictable state container: one store, read-only state,
+ *     changes only through dispatched actions handled by pure reducers.
+ *
+ * Q2: Redux vs Context API?
+ * A2: Context only passes a value down; every consumer re-renders when it changes.
+ *     Redux adds a store with subscriptions + selectors (only affected components
+ *     re-render), middleware, and devtools/time-travel debugging.
+ *
+ * Q3: What is Redux Thunk and how does it work?
+ * A3: A middleware that checks if the dispatched "action" is a function.
+ *     If yes, it calls it with (dispatch, getState) instead of sending it to the reducer,
+ *     so async code can dispatch real actions later.
+ *
+ * Q4: What is middleware in Redux?
+ * A4: A function chain around dispatch: `store => next => action => ...`.
+ *     It can log, transform, delay, or stop actions before they reach the reducer.
+ *
+ * Q5: What is a slice?
+ * A5: One part of the state tree (e.g. `state.users`) together with the reducer
+ *     and actions that manage it. combineReducers joins slices into one root reducer.
+ *
+ * Q6: Is a Redux state update sync or async?
+ * A6: `dispatch` is synchronous: the reducer runs and listeners are notified before
+ *     it returns. Async work (API calls) happens in middleware like thunks, which
+ *     dispatch plain actions when the data arrives.
+ *
+ * Q7: Why must reducers be pure and return the same reference for unknown actions?
+ * A7: Purity keeps updates predictable and replayable. Returning the same reference
+ *     tells combineReducers and useSelector "nothing changed", so nothing re-renders.
+ */
@@ -0,0 +1,367 @@
+/**
+ * 🧪 Tests for the Redux core built in 1Redux-Core-From-Scratch-Store-Middleware-Thunk-Bindings.js
+ * Runs with Jest + jsdom (no extra libraries: React's `act` + createRoot are enough).
+ *
+ * Each test pins one rule the real Redux / react-redux also follow.
+ *
+ * ▶️ Run (this repo has no package.json → install the runner ad hoc, `--no-save` writes no package.json):
+ *   npm i --no-save jest@29 jest-environment-jsdom@29 babel-jest@29 @babel/core @babel/preset-env @babel/preset-react react@19 react-dom@19
+ *   npx jest --config='{"testEnvironment":"jsdom","transform":{"\\.js$":["babel-jest",{"presets":["@babel/preset-env",["@babel/preset-react",{"runtime":"automatic"}]]}]}}' 17Redux
+ */
+
+import React, { act, useCallback, useState } from "react";
+import { createRoot } from "react-dom/client";
+import {
+  applyMiddleware,
+  combineReducers,
+  compose,
+  createStore,
+  Provider,
+  shallowEqual,
+  thunk,
+  useSelector,
+} from "./1Redux-Core-From-Scratch-Store-Middleware-Thunk-Bindings";
+
+const counter = (state = 0, action) => (action.type === "inc" ? state + 1 : state);
+
+/**
+ * ===============================
+ * 1. createStore
+ * ===============================
+ */
+
+describe("createStore", () => {
+  test("builds the initial state at creation and updates synchronously", () => {
+    const store = createStore(counter);
+    expect(store.getState()).toBe(0);
+
+    const action = { type: "inc" };
+    expect(store.dispatch(action)).toBe(action); // dispatch returns the action
+    expect(store.getState()).toBe(1); // already updated when dispatch returns
+  });
+
+  test("rejects non-plain-object actions and missing / non-string types", () => {
+    const store = createStore(counter);
+
+    expect(() => store.dispatch(() => {})).toThrow("Actions must be plain objects.");
+    expect(() => store.dispatch(new (class Action {})())).toThrow("Actions must be plain objects.");
+    expect(() => store.dispatch({})).toThrow('Actions may not have an undefined "type" property.');
+    expect(() => store.dispatch({ type: 1 })).toThrow(
+      'Action "type" property must be a string. Instead, received: number'
+    );
+    expect(store.dispatch(Object.assign(Object.create(null), { type: "inc" })).type).toBe("inc");
+  });
+
+  test("dispatching inside a reducer throws", () => {
+    const store = createStore((state = 0, action) => {
+      if (action.type === "nested") store.dispatch({ type: "inc" });
+      return state;
+    });
+
+    expect(() => store.dispatch({ type: "nested" })).toThrow("Reducers may not dispatch actions.");
+    // The failed dispatch must not leave the store stuck in "dispatching" mode
+    expect(() => store.getState()).not.toThrow();
+  });
+
+  test("getState, subscribe and unsubscribe inside a reducer throw", () => {
+    let unsubscribe = () => {};
+    const store = createStore((state = 0, action) => {
+      if (action.type === "getState") store.getState();
+      if (action.type === "subscribe") store.subscribe(() => {});
+      if (action.type === "unsubscribe") unsubscribe();
+      return state;
+    });
+    unsubscribe = store.subscribe(() => {});
+
+    expect(() => store.dispatch({ type: "getState" })).toThrow(
+      "You may not call store.getState() while the reducer is executing."
+    );
+    expect(() => store.dispatch({ type: "subscribe" })).toThrow(
+      "You may not call store.subscribe() while the reducer is executing."
+    );
+    expect(() => store.dispatch({ type: "unsubscribe" })).toThrow(
+      "You may not unsubscribe from a store listener while the reducer is executing."
+    );
+  });
+
+  test("listeners are snapshotted: (un)subscribing during a dispatch affects the NEXT one", () => {
+    const store = createStore(counter);
+    const calls = [];
+    const late = () => calls.push("late");
+
+    let unsubscribeB;
+    store.subscribe(() => {
+      calls.push("a");
+      unsubscribeB(); // removed mid-dispatch → still called for THIS dispatch
+      store.subscribe(late); // added mid-dispatch → not called for THIS dispatch
+    });
+    unsubscribeB = store.subscribe(() => calls.push("b"));
+
+    store.dispatch({ type: "inc" });
+    expect(calls).toEqual(["a", "b"]);
+
+    calls.length = 0;
+    store.dispatch({ type: "inc" });
+    expect(calls).toEqual(["a", "late"]);
+  });
+
+  test("unsubscribe only works once (a second call does not remove another subscription)", () => {
+    const store = createStore(counter);
+    const listener = jest.fn();
+
+    const unsubscribeFirst = store.subscribe(listener);
+    store.subscribe(listener); // same function, second subscription
+
+    unsubscribeFirst();
+    unsubscribeFirst(); // no-op
+
+    store.dispatch({ type: "inc" });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test("replaceReducer swaps the reducer and dispatches a private REPLACE action", () => {
+    const seen = [];
+    const store = createStore(combineReducers({ counter }));
+    store.dispatch({ type: "inc" });
+
+    const double = (state = 0, action) => {
+      seen.push(action.type);
+      return action.type === "inc" ? state + 2 : state;
+    };
+    store.replaceReducer(combineReducers({ counter: double }));
+
+    expect(seen.at(-1)).toMatch(/^@@redux\/REPLACE/);
+    expect(store.getState()).toEqual({ counter: 1 }); // state is kept
+    store.dispatch({ type: "inc" });
+    expect(store.getState()).toEqual({ counter: 3 });
+
+    expect(() => store.replaceReducer("nope")).toThrow("Expected the nextReducer to be a function.");
+  });
+});
+
+/**
+ * ===============================
+ * 2. combineReducers
+ * ===============================
+ */
+
+describe("combineReducers", () => {
+  test("rejects a slice reducer that returns undefined during initialization", () => {
+    const reducer = combineReducers({ counter, broken: () => undefined });
+    expect(() => createStore(reducer)).toThrow(
+      'The slice reducer for key "broken" returned undefined during initialization.'
+    );
+  });
+
+  test("rejects a slice reducer that returns undefined for an action", () => {
+    const maybe = (state = 0, action) => (action.type === "clear" ? undefined : state);
+    const store = createStore(combineReducers({ maybe }));
+
+    expect(() => store.dispatch({ type: "clear" })).toThrow(
+      'When called with an action of type "clear", the slice reducer for key "maybe" returned undefined.'
+    );
+  });
+
+  test("keeps the same state reference when no slice changed", () => {
+    const store = createStore(combineReducers({ counter }));
+    const before = store.getState();
+
+    store.dispatch({ type: "unknown" });
+    expect(store.getState()).toBe(before);
+  });
+});
+
+/**
+ * ===============================
+ * 3. applyMiddleware & thunk
+ * ===============================
+ */
+
+describe("compose", () => {
+  test("composes right to left: compose(f, g)(x) === f(g(x))", () => {
+    const f = (s) => `f(${s})`;
+    const g = (s) => `g(${s})`;
+
+    expect(compose(f, g)("x")).toBe("f(g(x))");
+    expect(compose(f)("x")).toBe("f(x)");
+    expect(compose()("x")).toBe("x");
+  });
+});
+
+describe("applyMiddleware", () => {
+  test("middleware runs in the order given, each wrapping the next", () => {
+    const calls = [];
+    const tag = (name) => () => (next) => (action) => {
+      calls.push(`${name} before`);
+      const result = next(action);
+      calls.push(`${name} after`);
+      return result;
+    };
+    const store = createStore(counter, applyMiddleware(tag("first"), tag("second")));
+
+    store.dispatch({ type: "inc" });
+    expect(calls).toEqual(["first before", "second before", "second after", "first after"]);
+  });
+
+  test("middleware dispatch goes through the whole chain again", () => {
+    const seen = [];
+    const spy = () => (next) => (action) => {
+      seen.push(action.type);
+      return next(action);
+    };
+    const store = createStore(counter, applyMiddleware(thunk, spy));
+
+    store.dispatch((dispatch) => dispatch({ type: "inc" }));
+    expect(seen).toEqual(["inc"]);
+    expect(store.getState()).toBe(1);
+  });
+
+  test("dispatching while the middleware chain is being built throws", () => {
+    const eager = ({ dispatch }) => {
+      dispatch({ type: "inc" });
+      return (next) => (action) => next(action);
+    };
+
+    expect(() => createStore(counter, applyMiddleware(eager))).toThrow(
+      "Dispatching while constructing your middleware is not allowed."
+    );
+  });
+
+  test("dispatch(thunk) returns whatever the thunk returns", async () => {
+    const api = { load: jest.fn(() => Promise.resolve(5)) };
+    const store = createStore(counter, applyMiddleware(thunk.withExtraArgument({ api })));
+
+    const loadAndCount = () => async (dispatch, getState, extra) => {
+      const amount = await extra.api.load();
+      for (let i = 0; i < amount; i++) dispatch({ type: "inc" });
+      return getState();
+    };
+
+    const result = store.dispatch(loadAndCount());
+    expect(result).toBeInstanceOf(Promise);
+    await expect(result).resolves.toBe(5);
+
+    // Plain actions still return the action itself
+    const action = { type: "inc" };
+    expect(store.dispatch(action)).toBe(action);
+  });
+});
+
+/**
+ * ===============================
+ * 4. useSelector
+ * ===============================
+ */
+
+const renderWithStore = (store, ui) => {
+  const container = document.createElement("div");
+  const root = createRoot(container);
+  act(() => root.render(<Provider store={store}>{ui}</Provider>));
+  return { container, unmount: () => act(() => root.unmount()) };
+};
+
+describe("useSelector", () => {
+  beforeAll(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+
+  const usersReducer = (state = { list: ["Avi"], theme: "light" }, action) => {
+    switch (action.type) {
+      case "users/added":
+        return { ...state, list: [...state.list, action.payload] };
+      case "theme/toggled":
+        return { ...state, theme: state.theme === "light" ? "dark" : "light" };
+      default:
+        return state;
+    }
+  };
+
+  test("re-renders only when the selected value changes (equalityFn)", () => {
+    const store = createStore(usersReducer);
+    let renders = 0;
+
+    const Summary = () => {
+      renders++;
+      // New object on every call → without shallowEqual every dispatch would re-render
+      const { count } = useSelector((state) => ({ count: state.list.length }), shallowEqual);
+      return <p>{count}</p>;
+    };
+
+    const { container, unmount } = renderWithStore(store, <Summary />);
+    expect(renders).toBe(1);
+
+    act(() => store.dispatch({ type: "theme/toggled" }));
+    expect(renders).toBe(1); // { count: 1 } shallow-equals { count: 1 }
+
+    act(() => store.dispatch({ type: "users/added", payload: "Sam" }));
+    expect(renders).toBe(2);
+    expect(container.textContent).toBe("2");
+    unmount();
+  });
+
+  test("no zombie children: a removed child never runs its selector with stale props", () => {
+    const todos = (state = { byId: { 1: "Learn", 2: "Ship" }, ids: [1, 2] }, action) => {
+      if (action.type !== "todos/removed") return state;
+      const { [action.payload]: _removed, ...byId } = state.byId;
+      return { byId, ids: state.ids.filter((id) => id !== action.payload) };
+    };
+    const store = createStore(todos);
+    const renderOrder = [];
+
+    const TodoItem = ({ id }) => {
+      renderOrder.push(`item ${id}`);
+      // Throws if called for a deleted id → would crash if the child rendered before its parent
+      const text = useSelector(useCallback((state) => state.byId[id].toUpperCase(), [id]));
+      return <li>{text}</li>;
+    };
+
+    const TodoList = () => {
+      renderOrder.push("list");
+      const ids = useSelector((state) => state.ids);
+      return (
+        <ul>
+          {ids.map((id) => (
+            <TodoItem key={id} id={id} />
+          ))}
+        </ul>
+      );
+    };
+
+    const { container, unmount } = renderWithStore(store, <TodoList />);
+    expect(container.textContent).toBe("LEARNSHIP");
+
+    renderOrder.length = 0;
+    expect(() => act(() => store.dispatch({ type: "todos/removed", payload: 2 }))).not.toThrow();
+
+    // Parent renders first (top-down), so the stale child is unmounted, never rendered
+    expect(renderOrder[0]).toBe("list");
+    expect(renderOrder).not.toContain("item 2");
+    expect(container.textContent).toBe("LEARN");
+    unmount();
+  });
+
+  test("the selector always sees the latest props together with the latest state", () => {
+    const store = createStore((state = { 1: "a", 2: "b" }) => state);
+    const seen = [];
+
+    const Item = ({ id }) => {
+      const value = useSelector(useCallback((state) => state[id], [id]));
+      seen.push(`${id}:${value}`);
+      return value;
+    };
+
+    let setId;
+    const Parent = () => {
+      const [id, set] = useState(1);
+      setId = set;
+      return <Item id={id} />;
+    };
+
+    const { unmount } = renderWithStore(store, <Parent />);
+    act(() => setId(2));
+
+    // Never "2:a" (new props + old selection)
+    expect(seen).toEqual(["1:a", "2:b"]);
+    unmount();
+  });
+});
@@ -77,8 +77,20 @@ const ParentWithObject = () => {
  * - This allows components to be more flexible.
  */
 const Card = ({ children }) => {
+  // Named slots (header / footer / actions) → see Example 6; plain children go to `body`
+  const { header, children: body, footer, actions } = useSlots(children, CARD_SLOTS, "Card");
+
   return (
-    <div style={{ border: "2px solid black", padding: "10px" }}>{children}</div>
+    <div style={{ border: "2px solid black", padding: "10px" }}>
+      {header && <header>{header}</header>}
+      {body}
+      {(footer || actions) && (
+        <footer>
+          {footer}
+          {actions && <div className="actions">{actions}</div>}
+        </footer>
+      )}
+    </div>
   );
 };
 
@@ -93,6 +105,101 @@ const ParentWithChildren = () => {
 
 // Here, everything between <Card> ... </Card> becomes props.children.
 
+/**
+ * ✅ Example 6: Named Slots (many "children" regions)
+ * --------------------------------------------------
+ * - One `children` blob is not enough for layouts with a header, footer, and actions.
+ * - Passing each region as a prop (`header={...} footer={...}`) gets messy fast.
+ * - Slots: mark content with `<Card.Slot name="header">`, the component picks it out.
+ *   Everything not in a named slot goes to the default slot (`children`).
+ * - `Card` from Example 5 already supports this (plain children still work as before).
+ * - Works through Fragments and conditional children (`{isAdmin && <Card.Slot ...>}`).
+ */
+export const Slot = ({ children }) => children; // just a marker, renders its content if used elsewhere
+Slot.displayName = "Slot";
+
+// Flatten arrays AND Fragments; drop null/false/undefined (conditional rendering)
+const flattenChildren = (children, keyPrefix = "") =>
+  React.Children.toArray(children).flatMap((child) => {
+    if (React.isValidElement(child) && child.type === React.Fragment) {
+      return flattenChildren(child.props.children, keyPrefix + child.key);
+    }
+    return keyPrefix && React.isValidElement(child)
+      ? [React.cloneElement(child, { key: keyPrefix + child.key })]
+      : [child];
+  });
+
+// defaults = { header: <DefaultHeader />, footer: null, ... } → also the list of allowed slots
+// Pass module-level `defaults` (stable) → the memo only recomputes when children change
+export const useSlots = (children, defaults = {}, componentName = "Component") =>
+  React.useMemo(() => {
+    const found = { children: [] };
+
+    flattenChildren(children).forEach((child) => {
+      if (!React.isValidElement(child) || child.type !== Slot) {
+        found.children.push(child);
+        return;
+      }
+      const { name } = child.props;
+      if (!(name in defaults)) {
+        if (process.env.NODE_ENV !== "production") {
+          console.error(
+            `<${componentName}> has no slot named "${name}". ` +
+              `Available slots: ${Object.keys(defaults).join(", ") || "(none)"}.`
+          );
+        }
+        return;
+      }
+      found[name] = [...(found[name] || []), ...flattenChildren(child.props.children, `${name}:`)];
+    });
+
+    const slots = { children: found.children.length > 0 ? found.children : defaults.children };
+    Object.keys(defaults).forEach((name) => {
+      if (name === "children") return;
+      // An empty <Slot name="footer" /> means "no footer" → null, so `footer && ...` skips it
+      if (name in found) slots[name] = found[name].length > 0 ? found[name] : null;
+      else slots[name] = defaults[name];
+    });
+    return slots;
+  }, [children, defaults, componentName]);
+
+const CARD_SLOTS = {
+  header: null,
+  footer: null,
+  actions: null,
+  children: null, // default content for the default slot (none → same as plain children)
+};
+
+Card.Slot = Slot;
+
+const ParentWithSlots = ({ isAdmin }) => {
+  return (
+    <Card>
+      <Card.Slot name="header">
+        <h2>Title inside card</h2>
+      </Card.Slot>
+
+      <p>This content goes to the default slot</p>
+
+      <>
+        {/* Fragments are fine */}
+        <Card.Slot name="footer">Last updated today</Card.Slot>
+      </>
+
+      {isAdmin && (
+        <Card.Slot name="actions">
+          <button>Edit</button>
+          <button>Delete</button>
+        </Card.Slot>
+      )}
+
+      {/* <Card.Slot name="sidebar" /> → dev error: Card has no slot named "sidebar" */}
+    </Card>
+  );
+};
+
+// Same idea for page shells → `Layout` in the prop-drilling notes has header/sidebar/footer slots
+
 /**
  * -----------------------------------------------------------------
  * 🔑 Key Takeaways
@@ -103,6 +210,7 @@ const ParentWithChildren = () => {
  * 4. Functions passed as props = communication from child back to parent.
  * 5. Destructure props in child for cleaner code.
  * 6. `props.children` = special prop that holds nested JSX passed inside a component.
+ * 7. Named slots = several children regions (header, footer, actions) without prop explosions.
  */
 
 /**
@@ -134,4 +242,9 @@ const ParentWithChildren = () => {
  * Q7: When should you use props.children?
  * A7: When building reusable components like Cards, Modals, or Layouts
  *     where you don’t know in advance what content will be inside.
+ *
+ * Q8: How do you give a component several "children" regions?
+ * A8: Either pass JSX through named props (`header={...}`), or use slots:
+ *     wrap content in `<Card.Slot name="header">` and let the component pick each
+ *     region out of `children` (flattening Fragments and skipping `false`/`null`).
  */
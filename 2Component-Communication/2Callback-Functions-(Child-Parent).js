@@ -76,6 +76,145 @@ const ToggleParent = () => {
   );
 };
 
+/**
+ * ✅ Example 4: Two-way Channel (child asks, parent answers)
+ * ---------------------------------------------------------
+ * Plain callbacks are one-way: the child calls `onSubmit(data)` and never hears back.
+ * Real forms need more:
+ * - The payload should be checked (right fields, right types) before the parent uses it.
+ * - The parent saves to the server and must send back the result OR the errors
+ *   (e.g. "email already taken") so the child form can show them.
+ *
+ * Channel:
+ * - Parent: `useParentChannel({ eventName: { schema, handle } })` + `<ChannelProvider>`.
+ * - Child: `const send = useChildChannel()` → `await send("submit", data)`.
+ * - `handle` returns a value → the child's promise resolves (acknowledged).
+ * - `handle` throws `new ChannelError("REJECTED", ..., errors)` → the child's promise rejects.
+ *
+ * Think of it like: the child doesn't just leave a voicemail (callback),
+ * it makes a phone call and waits for the parent's answer.
+ */
+class ChannelError extends Error {
+  constructor(code, message, errors = {}) {
+    super(message);
+    this.name = "ChannelError";
+    this.code = code; // "UNKNOWN_EVENT" | "INVALID_PAYLOAD" | "REJECTED"
+    this.errors = errors; // { field: "message" } → easy to show next to inputs
+  }
+}
+
+// schema = { field: "string" | "number" | "boolean" | (value) => true | "error message" }
+const validatePayload = (schema = {}, payload = {}) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = payload[field];
+    if (typeof rule === "function") {
+      const result = rule(value);
+      if (result !== true) errors[field] = result || `${field} is invalid`;
+    } else if (typeof value !== rule) {
+      errors[field] = `${field} must be a ${rule}`;
+    }
+  });
+  return errors;
+};
+
+const ChannelContext = React.createContext(null);
+
+const useParentChannel = (events) => {
+  const eventsRef = React.useRef(events);
+  React.useLayoutEffect(() => {
+    eventsRef.current = events; // latest handlers, stable channel
+  });
+
+  return React.useMemo(
+    () => ({
+      async send(type, payload) {
+        const event = eventsRef.current[type];
+        if (!event) {
+          throw new ChannelError("UNKNOWN_EVENT", `Parent does not handle "${type}"`);
+        }
+        const errors = validatePayload(event.schema, payload);
+        if (Object.keys(errors).length > 0) {
+          throw new ChannelError("INVALID_PAYLOAD", `Invalid "${type}" payload`, errors);
+        }
+        return event.handle(payload);
+      },
+    }),
+    []
+  );
+};
+
+const ChannelProvider = ({ channel, children }) => (
+  <ChannelContext.Provider value={channel}>{children}</ChannelContext.Provider>
+);
+
+const useChildChannel = () => {
+  const channel = React.useContext(ChannelContext);
+  if (!channel) throw new Error("useChildChannel must be used inside <ChannelProvider>");
+  return channel.send;
+};
+
+// Child: sends the form, awaits the parent's answer, shows server-side errors
+const ChannelFormChild = () => {
+  const send = useChildChannel();
+  const [form, setForm] = React.useState({ name: "Avi", email: "avi@example.com", age: 25 });
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState("idle");
+
+  const handleSubmit = async () => {
+    setStatus("saving");
+    setErrors({});
+    try {
+      const saved = await send("submit", form);
+      setStatus(`saved (id: ${saved.id})`);
+    } catch (error) {
+      // ChannelError → field errors from the parent; anything else (network, bad JSON)
+      // still ends the "saving" state instead of becoming an unhandled rejection
+      if (error instanceof ChannelError) setErrors(error.errors);
+      setStatus(`error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <input value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} />
+      {errors.email && <p role="alert">{errors.email}</p>}
+      <button onClick={handleSubmit} disabled={status === "saving"}>
+        Submit Form
+      </button>
+      <p>Status: {status}</p>
+    </div>
+  );
+};
+
+// Parent: validates, saves, and answers (acknowledge or reject)
+const ChannelFormParent = () => {
+  const channel = useParentChannel({
+    submit: {
+      schema: {
+        name: "string",
+        age: "number",
+        email: (value) => /^[^\s@]+@[^\s@]+$/.test(value || "") || "Enter a valid email",
+      },
+      handle: async (formData) => {
+        const res = await fetch("/api/users", { method: "POST", body: JSON.stringify(formData) });
+        const body = await res.json();
+        if (!res.ok) {
+          // e.g. { email: "Email already taken" } → shown next to the child's input
+          throw new ChannelError("REJECTED", "Server rejected the form", body.errors);
+        }
+        return body; // → child's `await send(...)` resolves with this
+      },
+    },
+  });
+
+  return (
+    <ChannelProvider channel={channel}>
+      <ChannelFormChild />
+    </ChannelProvider>
+  );
+};
+
 /**
  * -----------------------------------------------------------------
  * 🔑 Key Takeaways
@@ -85,6 +224,8 @@ const ToggleParent = () => {
  * 3. Child calls that function with arguments (data/events).
  * 4. Parent defines the logic of what happens with that data.
  * 5. Useful for forms, buttons, toggles, or any event in child.
+ * 6. Need an answer back (e.g. server errors)? Use a channel: the child awaits
+ *    a promise that the parent resolves (acknowledge) or rejects (errors).
  */
 
 /**
@@ -111,4 +252,8 @@ const ToggleParent = () => {
  *     - Child button tells parent to update state.
  *     - Child form sends data to parent for saving.
  *     - Child input field notifies parent on changes.
+ *
+ * Q6: How can a parent send a result back to the child after a callback?
+ * A6: Make the callback async: the parent returns a value (or throws) and the child
+ *     `await`s it. A channel adds payload validation and typed errors on top.
  */
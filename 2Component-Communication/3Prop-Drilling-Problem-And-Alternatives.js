@@ -11,6 +11,8 @@
  *
  * ✅ Example 1: Prop Drilling Problem
  */
+import { Slot, useSlots } from "./1Passing-Props-(Parent-Child)";
+
 const GreatGrandChild = ({ user }) => {
   return <h3>User: {user}</h3>;
 };
@@ -69,20 +71,232 @@ const ParentWithContext = () => {
 /**
  * ✅ Solution 3: Component Composition
  * - Instead of drilling props, pass needed JSX as `children` or render props.
+ * - Need several regions (header, sidebar, footer)? Use named slots
+ *   (`<Layout.Slot name="sidebar">`, `useSlots` from the Passing Props notes).
  */
+const LAYOUT_SLOTS = { header: null, sidebar: null, footer: null };
+
 const Layout = ({ children }) => {
-  return <div className="layout">{children}</div>;
+  const { header, sidebar, footer, children: main } = useSlots(children, LAYOUT_SLOTS, "Layout");
+  return (
+    <div className="layout">
+      {header && <header>{header}</header>}
+      {sidebar && <aside>{sidebar}</aside>}
+      {main}
+      {footer && <footer>{footer}</footer>}
+    </div>
+  );
 };
+Layout.Slot = Slot;
 
 const ParentWithComposition = () => {
   const user = "Avi";
   return (
     <Layout>
+      <Layout.Slot name="header">
+        <h1>My App</h1>
+      </Layout.Slot>
       <GreatGrandChild user={user} /> {/* directly pass where needed */}
+      <Layout.Slot name="sidebar">
+        <GreatGrandChild user={user} /> {/* each region gets data directly, no drilling */}
+      </Layout.Slot>
     </Layout>
   );
 };
 
+/**
+ * ✅ Solution 4: Dependency Injection (Service Container)
+ * - Context per value works, but 10 services → 10 contexts + 10 Providers.
+ * - A service container holds "how to create" each service (API client, logger, feature services).
+ * - Components ask for a service by its token: `useService(ApiClient)`.
+ * - ONE context carries the container; nested `<ServiceProvider>`s create child scopes.
+ *
+ * Lifetimes:
+ * - "singleton" → one instance for the whole app (created on first use).
+ * - "scoped"    → one instance per `<ServiceProvider>` subtree (e.g. per page/form).
+ * - "transient" → a new instance every time it is resolved.
+ *
+ * Analogy: A hotel reception. You don't carry your own towels through every floor,
+ * you just ask reception (container) for one wherever you are.
+ */
+
+// Token = unique key for a service (the name is only for error messages)
+const createToken = (name) => ({ name });
+
+// isolated: true → singletons are rebuilt inside this scope, so they also see its overrides
+const createContainer = (parent = null, { isolated = false } = {}) => {
+  const registrations = new Map(); // token → { factory, lifetime }
+  const instances = new Map(); // singletons owned here + scoped instances of this scope
+
+  const findOwner = (token) => {
+    for (let c = container; c; c = c.parent) {
+      if (c.registrations.has(token)) return c;
+    }
+    return null;
+  };
+
+  // Where a singleton lives: its owner, or the nearest isolated scope below the owner
+  const singletonScope = (owner) => {
+    for (let c = container; c !== owner; c = c.parent) {
+      if (c.isolated) return c;
+    }
+    return owner;
+  };
+
+  const container = {
+    parent,
+    isolated,
+    registrations,
+    instances,
+
+    // factory receives `resolve` to get its own dependencies
+    register(token, factory, { lifetime = "singleton" } = {}) {
+      registrations.set(token, { factory, lifetime });
+      instances.delete(token); // re-registering replaces an old instance
+      return container;
+    },
+
+    resolve(token, path = []) {
+      if (path.includes(token)) {
+        const cycle = [...path, token].map((t) => t.name).join(" → ");
+        throw new Error(`Circular dependency: ${cycle}`);
+      }
+
+      const owner = findOwner(token);
+      if (!owner) throw new Error(`No service registered for "${token.name}"`);
+
+      const { factory, lifetime } = owner.registrations.get(token);
+      // Singletons resolve deps from where they live (no scoped "captive" deps)
+      const scope = lifetime === "singleton" ? singletonScope(owner) : container;
+      const create = () => factory((dep) => scope.resolve(dep, [...path, token]));
+
+      if (lifetime === "transient") return create();
+      if (!scope.instances.has(token)) scope.instances.set(token, create());
+      return scope.instances.get(token);
+    },
+
+    createScope: (options) => createContainer(container, options),
+  };
+
+  return container;
+};
+
+const ServiceContext = React.createContext(null);
+
+const buildScope = (container, parent, overrides) => {
+  const isolated = overrides.length > 0;
+  let next = container || parent?.createScope({ isolated }) || createContainer();
+  if (container && isolated) next = container.createScope({ isolated });
+  overrides.forEach(([token, factory]) => next.register(token, factory));
+  return next;
+};
+
+// Same tokens AND same factory functions → same overrides
+const sameOverrides = (a, b) =>
+  a.length === b.length && a.every(([token, factory], i) => token === b[i][0] && factory === b[i][1]);
+
+// Root: <ServiceProvider container={appContainer}>
+// Nested: <ServiceProvider> → new scope; overrides={[[Token, factory]]} for tests/storybook
+// Changing `container` or `overrides` builds a fresh scope (scoped instances start over),
+// so define override factories outside render, not inline.
+const ServiceProvider = ({ container, overrides = [], children }) => {
+  const parent = React.useContext(ServiceContext);
+
+  const [state, setState] = React.useState(() => ({
+    container,
+    parent,
+    overrides,
+    scope: buildScope(container, parent, overrides),
+  }));
+
+  let current = state;
+  if (
+    state.container !== container ||
+    state.parent !== parent ||
+    !sameOverrides(state.overrides, overrides)
+  ) {
+    current = { container, parent, overrides, scope: buildScope(container, parent, overrides) };
+    setState(current); // adjust during render, like derived state
+  }
+
+  return <ServiceContext.Provider value={current.scope}>{children}</ServiceContext.Provider>;
+};
+
+const useService = (token) => {
+  const container = React.useContext(ServiceContext);
+  if (!container) throw new Error("useService must be used inside <ServiceProvider>");
+  // Memoized → even a transient service stays the same across re-renders of this component
+  return React.useMemo(() => container.resolve(token), [container, token]);
+};
+
+// Example: registering services once
+const Logger = createToken("Logger");
+const ApiClient = createToken("ApiClient");
+const UserService = createToken("UserService");
+const FormState = createToken("FormState");
+
+const appContainer = createContainer()
+  .register(Logger, () => ({ log: (...args) => console.log("[app]", ...args) }))
+  .register(ApiClient, (resolve) => {
+    const logger = resolve(Logger);
+    return {
+      get: (url) => {
+        logger.log("GET", url);
+        return fetch(url).then((res) => res.json());
+      },
+    };
+  })
+  .register(UserService, (resolve) => ({
+    getCurrentUser: () => resolve(ApiClient).get("/api/me"),
+  }))
+  .register(FormState, () => ({ values: {} }), { lifetime: "scoped" });
+
+// Deep child → no `user` prop, no UserContext
+const GreatGrandChildWithService = () => {
+  const users = useService(UserService);
+  const [user, setUser] = React.useState(null);
+
+  React.useEffect(() => {
+    users.getCurrentUser().then((data) => setUser(data.name));
+  }, [users]);
+
+  return <h3>User: {user ?? "Loading..."}</h3>;
+};
+
+// Scoped service → each form subtree gets its own FormState
+const CheckoutForm = () => {
+  const form = useService(FormState);
+  return <input onChange={(e) => (form.values.address = e.target.value)} />;
+};
+
+const ParentWithServices = () => (
+  <ServiceProvider container={appContainer}>
+    <GreatGrandChildWithService /> {/* resolves UserService itself */}
+    <ServiceProvider>
+      <CheckoutForm /> {/* new scope → its own FormState */}
+    </ServiceProvider>
+  </ServiceProvider>
+);
+
+// Tests / Storybook: swap the API client for a subtree only
+// (UserService is rebuilt inside the overridden subtree, so it uses the fake too)
+const fakeApi = { get: () => Promise.resolve({ name: "Test User" }) };
+const fakeApiOverrides = [[ApiClient, () => fakeApi]]; // module level → same factory every render
+
+const StoryWithFakeApi = () => (
+  <ServiceProvider container={appContainer} overrides={fakeApiOverrides}>
+    <GreatGrandChildWithService /> {/* shows "Test User" */}
+  </ServiceProvider>
+);
+
+// Circular dependencies are reported instead of overflowing the stack
+const A = createToken("A");
+const B = createToken("B");
+const broken = createContainer()
+  .register(A, (resolve) => resolve(B))
+  .register(B, (resolve) => resolve(A));
+// broken.resolve(A) → Error: Circular dependency: A → B → A
+
 /**
  * -----------------------------------------------------------------
  * 🔑 Key Takeaways
@@ -93,6 +307,7 @@ const ParentWithComposition = () => {
  *    - Context API (good for small/medium apps).
  *    - Redux / Zustand / Recoil (better for larger apps).
  *    - Component Composition (pass JSX instead of drilling props).
+ *    - Dependency Injection container (many services, one context, scoped per subtree).
  */
 
 /**
@@ -118,4 +333,16 @@ const ParentWithComposition = () => {
  *
  * Q5: What is an alternative to props besides Context/Redux?
  * A5: Component composition → pass JSX directly instead of data props.
+ *
+ * Q6: What is a DI (service) container in React?
+ * A6: One object that knows how to build services (API client, logger, ...).
+ *     A single context carries it, and components ask for services with `useService(token)`.
+ *
+ * Q7: Singleton vs scoped vs transient?
+ * A7: Singleton → one per app. Scoped → one per `<ServiceProvider>` subtree.
+ *     Transient → new instance every time it is resolved.
+ *
+ * Q8: Why are DI containers handy for tests and Storybook?
+ * A8: You override a token for a subtree (e.g. a fake API client) without
+ *     changing the components that use it.
  */
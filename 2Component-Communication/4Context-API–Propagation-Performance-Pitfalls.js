@@ -115,6 +115,189 @@ const ParentWithMemo = ({ user }) => {
  *      are more efficient than context.
  */
 
+/**
+ * ----------------------------------------------------
+ * 🔍 Seeing Propagation: Context Tracer (dev / tests)
+ * ----------------------------------------------------
+ * - `createContextTracer()` → collects a structured report.
+ * - `createTracedContext(name, defaultValue, tracer)` → a Context whose Provider records
+ *   WHICH keys of the value changed (by identity) on every value change,
+ *   and WHICH consumers re-rendered because of it.
+ * - `<ContextTrace>` → dev component that shows / reports the trace.
+ *
+ * Report shape:
+ *   {
+ *     AuthContext: {
+ *       updates: [{ version: 1, changedKeys: ["user"], consumers: ["UserBadge"] }],
+ *       renders: { UserBadge: 2, Settings: 1 },
+ *     },
+ *   }
+ */
+const createContextTracer = () => {
+  let report = {};
+  const listeners = new Set();
+
+  const contextEntry = (name) => {
+    if (!report[name]) report[name] = { updates: [], renders: {} };
+    return report[name];
+  };
+
+  // Provider and consumers record in any order (child effects run first) → find or create
+  const updateEntry = (name, version) => {
+    const entry = contextEntry(name);
+    let update = entry.updates.find((u) => u.version === version);
+    if (!update) {
+      update = { version, changedKeys: [], consumers: [] };
+      entry.updates.push(update);
+    }
+    return update;
+  };
+
+  const changed = () => listeners.forEach((listener) => listener());
+
+  return {
+    recordChange(name, version, changedKeys) {
+      updateEntry(name, version).changedKeys = changedKeys;
+      changed();
+    },
+    recordRender(name, version, consumer) {
+      const entry = contextEntry(name);
+      entry.renders[consumer] = (entry.renders[consumer] || 0) + 1;
+      if (version > 0) {
+        const update = updateEntry(name, version);
+        if (!update.consumers.includes(consumer)) update.consumers.push(consumer);
+      }
+      changed();
+    },
+    getReport: () => report,
+    reset() {
+      report = {};
+      changed();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// Keys whose value is a different reference (or "(value)" for primitives)
+const changedKeysByIdentity = (prev, next) => {
+  const isObject = (v) => v !== null && typeof v === "object";
+  if (!isObject(prev) || !isObject(next)) return ["(value)"];
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  return [...keys].filter((key) => !Object.is(prev[key], next[key]));
+};
+
+const createTracedContext = (name, defaultValue, tracer) => {
+  // Internally we pass { value, version } so consumers know which update they render for
+  const Context = React.createContext({ value: defaultValue, version: 0 });
+  Context.displayName = name;
+
+  const Provider = ({ value, children }) => {
+    const committed = React.useRef({ value, version: 0 });
+    const version = Object.is(committed.current.value, value)
+      ? committed.current.version
+      : committed.current.version + 1;
+
+    React.useLayoutEffect(() => {
+      if (version === committed.current.version) return;
+      tracer.recordChange(name, version, changedKeysByIdentity(committed.current.value, value));
+      committed.current = { value, version };
+    });
+
+    const traced = React.useMemo(() => ({ value, version }), [value, version]);
+    return <Context.Provider value={traced}>{children}</Context.Provider>;
+  };
+
+  // Use instead of React.useContext(Context) → records every committed render
+  const useTracedContext = (consumerName) => {
+    const { value, version } = React.useContext(Context);
+    React.useLayoutEffect(() => {
+      tracer.recordRender(name, version, consumerName);
+    });
+    return value;
+  };
+
+  return { Context, Provider, useTracedContext };
+};
+
+// Dev component: calls onReport after every traced change, optionally shows it
+const ContextTrace = ({ tracer, onReport, show = false, children }) => {
+  const [, forceUpdate] = React.useReducer((x) => x + 1, 0);
+  const report = tracer.getReport();
+
+  // Re-render on every recorded change (to show it and to call onReport)
+  React.useEffect(() => tracer.subscribe(forceUpdate), [tracer]);
+
+  React.useEffect(() => {
+    if (onReport) onReport(report);
+  });
+
+  if (process.env.NODE_ENV === "production") return children;
+
+  return (
+    <>
+      {children}
+      {show && <pre style={{ fontSize: 11 }}>{JSON.stringify(report, null, 2)}</pre>}
+    </>
+  );
+};
+
+// ✅ Example: proving that splitting contexts works
+const tracer = createContextTracer();
+const TracedAuth = createTracedContext("AuthContext", null, tracer);
+const TracedSettings = createTracedContext("SettingsContext", null, tracer);
+
+const UserBadge = () => {
+  const auth = TracedAuth.useTracedContext("UserBadge");
+  return <span>{auth.user}</span>;
+};
+
+const SettingsPanel = () => {
+  const settings = TracedSettings.useTracedContext("SettingsPanel");
+  return <span>Lang: {settings.language}</span>;
+};
+
+// Memoized children → only context changes re-render them
+const MemoUserBadge = React.memo(UserBadge);
+const MemoSettingsPanel = React.memo(SettingsPanel);
+
+const TracedApp = () => {
+  const [user, setUser] = React.useState("Avi");
+  const [language, setLanguage] = React.useState("en");
+
+  const auth = React.useMemo(() => ({ user, setUser }), [user]);
+  const settings = React.useMemo(() => ({ language, setLanguage }), [language]);
+
+  return (
+    <ContextTrace tracer={tracer} show>
+      <TracedAuth.Provider value={auth}>
+        <TracedSettings.Provider value={settings}>
+          <MemoUserBadge />
+          <MemoSettingsPanel />
+          <button onClick={() => setLanguage("hi")}>Hindi</button>
+        </TracedSettings.Provider>
+      </TracedAuth.Provider>
+    </ContextTrace>
+  );
+};
+
+/**
+ * After clicking "Hindi", a test can assert:
+ *
+ *   const { SettingsContext, AuthContext } = tracer.getReport();
+ *   expect(SettingsContext.updates.at(-1)).toEqual({
+ *     version: 1,
+ *     changedKeys: ["language"], // setLanguage is stable (from useState)
+ *     consumers: ["SettingsPanel"],
+ *   });
+ *   expect(AuthContext.updates).toEqual([]); // ✅ split works → UserBadge untouched
+ *
+ * Tip: `changedKeys` shows unstable references (functions/objects re-created
+ * on every render) that make consumers re-render without a real change.
+ */
+
 /**
  * -----------------------------------------------------------------
  * 🔑 Key Takeaways
@@ -147,4 +330,8 @@ const ParentWithMemo = ({ user }) => {
  *
  * Q5: What type of data is best for Context?
  * A5: Global but stable values like theme, language, authentication state.
+ *
+ * Q6: How can you verify which consumers re-render after a Provider change?
+ * A6: Use React DevTools Profiler manually, or a traced context in tests that records
+ *     changed keys (by identity) and re-rendered consumers for every value change.
  */
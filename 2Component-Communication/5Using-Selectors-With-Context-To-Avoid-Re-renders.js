@@ -22,19 +22,193 @@
  *   give them only the specific piece of data they need.
  * - This reduces unnecessary re-renders.
  *
+ * ⚠️ Careful: a custom hook that calls `useContext` and returns one field is NOT enough.
+ * `useContext` subscribes the component to the WHOLE value, so it still re-renders
+ * when any field changes. We need a real subscription that compares the selected slice.
+ *
  * How to Do It:
  * -------------
- * 1. Create Context with full state.
- * 2. Create custom hooks (selectors) that extract specific values.
- * 3. Use these hooks inside components, so only relevant parts cause re-renders.
+ * 1. Put a small "store" (stable object) in Context instead of the value itself.
+ * 2. The Provider updates the store and notifies subscribers when `value` changes.
+ * 3. `useContextSelector(selector)` subscribes via `useSyncExternalStore` and only
+ *    re-renders when the selected slice changes (compared with an equality function).
  *
- * Example Implementation:
+ * ❌ Naive Implementation (still re-renders everything):
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+
+const NaiveUserContext = createContext(null);
+
+const useNaiveUserName = () => {
+  const { user } = useContext(NaiveUserContext); // ❌ subscribed to the whole value
+  return user.name;
+};
+
+/**
+ * ===============================
+ * Equality helpers
+ * ===============================
+ */
+
+const isCollection = (value) => value instanceof Map || value instanceof Set;
+
+// Same keys, and each value is === (one level deep)
+// Maps/Sets have no own keys → only the same instance counts as equal
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+    return false;
+  }
+  if (isCollection(a) || isCollection(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  );
+};
+
+// Compares nested objects/arrays/dates/Maps/Sets by value
+export const deepEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+    return false;
+  }
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+    return [...a].every(([key, value]) => b.has(key) && deepEqual(value, b.get(key)));
+  }
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false;
+    // Objects in a Set are matched by value too (slower, Sets are usually small)
+    return [...a].every((item) => b.has(item) || [...b].some((other) => deepEqual(item, other)));
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key])
+  );
+};
+
+/**
+ * ===============================
+ * ✅ createSelectableContext
+ * ===============================
  */
 
-import React, { createContext, useContext, useState, useMemo } from "react";
+export const createSelectableContext = (displayName = "SelectableContext") => {
+  const StoreContext = createContext(null);
+  StoreContext.displayName = displayName;
+
+  // Stable store: the Context value never changes, so Context itself never re-renders consumers
+  const createStore = (initialValue) => {
+    let value = initialValue;
+    const listeners = new Set();
+    return {
+      getValue: () => value,
+      setValue: (next) => {
+        if (Object.is(value, next)) return;
+        value = next;
+        listeners.forEach((listener) => listener());
+      },
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+    };
+  };
+
+  const Provider = ({ value, children }) => {
+    const [store] = useState(() => createStore(value));
+
+    // Notify subscribers after the new value is committed
+    useLayoutEffect(() => {
+      store.setValue(value);
+    }, [store, value]);
+
+    return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+  };
+
+  const useContextSelector = (selector, isEqual = Object.is) => {
+    const store = useContext(StoreContext);
+    if (!store) {
+      throw new Error(`useContextSelector must be used inside <${displayName}.Provider>`);
+    }
+
+    const lastSelected = useRef({ hasValue: false, value: undefined });
+    const warned = useRef(false);
+
+    // Memoized snapshot: same store value → same selection (required by useSyncExternalStore)
+    const getSelection = useMemo(() => {
+      let hasMemo = false;
+      let memoValue;
+      let memoSelected;
+
+      return () => {
+        const value = store.getValue();
+        if (hasMemo && Object.is(memoValue, value)) return memoSelected;
+
+        let selected = selector(value);
+
+        // Dev warning: a selector like (s) => ({ a: s.a }) creates a new object every
+        // call → with Object.is it would never be "equal" and re-render on every change.
+        if (process.env.NODE_ENV !== "production" && !warned.current) {
+          const again = selector(value);
+          if (isEqual === Object.is && !Object.is(selected, again)) {
+            warned.current = true;
+            console.warn(
+              `${displayName}: selector returned a new object on every call. ` +
+                "Pass shallowEqual/deepEqual as the equality function or select primitives."
+            );
+          }
+        }
+
+        // Keep the previous reference if it is "equal" → no re-render
+        if (lastSelected.current.hasValue && isEqual(lastSelected.current.value, selected)) {
+          selected = lastSelected.current.value;
+        }
+
+        hasMemo = true;
+        memoValue = value;
+        memoSelected = selected;
+        return selected;
+      };
+    }, [store, selector, isEqual]);
+
+    const selected = useSyncExternalStore(store.subscribe, getSelection, getSelection);
+
+    useEffect(() => {
+      lastSelected.current = { hasValue: true, value: selected };
+    });
+
+    return selected;
+  };
+
+  Provider.displayName = `${displayName}.Provider`;
+  return { Provider, useContextSelector };
+};
+
+/**
+ * ===============================
+ * Example Implementation
+ * ===============================
+ */
 
 // 1. Create Context
-const UserContext = createContext(null);
+const UserContext = createSelectableContext("UserContext");
 
 export const UserProvider = ({ children }) => {
   const [user, setUser] = useState({
@@ -49,21 +223,23 @@ export const UserProvider = ({ children }) => {
   return <UserContext.Provider value={value}>{children}</UserContext.Provider>;
 };
 
-// 2. Selector hooks
-export const useUserName = () => {
-  const { user } = useContext(UserContext);
-  return user.name; // only name
-};
+// 2. Selector hooks (selectors defined outside → stable references)
+const selectName = (ctx) => ctx.user.name;
+const selectTheme = (ctx) => ctx.user.theme;
+const selectProfile = (ctx) => ({ name: ctx.user.name, age: ctx.user.age });
+const selectSetUser = (ctx) => ctx.setUser;
 
-export const useUserTheme = () => {
-  const { user } = useContext(UserContext);
-  return user.theme; // only theme
-};
+export const useUserName = () => UserContext.useContextSelector(selectName); // only name
+
+export const useUserTheme = () => UserContext.useContextSelector(selectTheme); // only theme
+
+// New object per call → compare with shallowEqual
+export const useUserProfile = () => UserContext.useContextSelector(selectProfile, shallowEqual);
 
 // 3. Components using selectors
 const ShowName = () => {
   const name = useUserName();
-  console.log("Render: ShowName");
+  console.log("Render: ShowName"); // ✅ not logged when only theme changes
   return <h1>{name}</h1>;
 };
 
@@ -73,12 +249,37 @@ const ShowTheme = () => {
   return <p>Theme: {theme}</p>;
 };
 
+const ThemeToggle = () => {
+  const setUser = UserContext.useContextSelector(selectSetUser);
+  return (
+    <button
+      onClick={() =>
+        setUser((u) => ({ ...u, theme: u.theme === "dark" ? "light" : "dark" }))
+      }
+    >
+      Toggle Theme
+    </button>
+  );
+};
+
+// children are created here, so UserProvider's state change doesn't re-render them
+const App = () => (
+  <UserProvider>
+    <ShowName />
+    <ShowTheme />
+    <ThemeToggle />
+  </UserProvider>
+);
+
 /**
  * Why This Works:
  * ---------------
- * - React re-renders a component when the props/state/context it uses changes.
- * - If we only "read" part of the context using selectors, only that part triggers re-render.
- * - This prevents components from updating when unrelated context values change.
+ * - The Context value is a stable store, so Context itself never forces a re-render.
+ * - Each consumer subscribes to the store and runs its selector on every change.
+ * - `useSyncExternalStore` only re-renders the component when the selected slice
+ *   changed (according to `Object.is`, `shallowEqual`, or `deepEqual`).
+ * - Toggling theme → ShowTheme re-renders; ShowName's slice is the same string,
+ *   so it doesn't.
  *
  * 🚀 Benefit: Better performance in large apps.
  */
@@ -96,6 +297,10 @@ const ShowTheme = () => {
  * A2: By giving components only the specific part of the context they need,
  *     so only relevant updates trigger re-renders.
  *
+ * Q2.1: Why doesn't a custom hook with `useContext` + `.name` prevent re-renders?
+ * A2.1: `useContext` subscribes to the whole value. The component re-renders on every
+ *       Provider value change, even if it returns the same field.
+ *
  * Q3: Can we combine selectors with memoization?
  * A3: Yes, using `useMemo` ensures context value object references are stable,
  *     reducing unnecessary renders even further.
@@ -103,4 +308,8 @@ const ShowTheme = () => {
  * Q4: What are some other alternatives if context re-renders become a big issue?
  * A4: Options include Redux, Zustand, Jotai, or using libraries like `use-context-selector`
  *     which give built-in selector support for Context.
+ *
+ * Q5: Why would a selector like `(s) => ({ name: s.name })` cause extra re-renders?
+ * A5: It returns a new object every time, so `Object.is` never sees it as equal.
+ *     Use `shallowEqual` as the equality function, or select primitive values.
  */
@@ -18,19 +18,25 @@
  * Example:
  */
 
-import React, { useState, useRef } from "react";
+import React, {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
 
+// Controlled usage → parent owns the state (can validate, transform, share it)
+// `TextInput` (below) works in both modes, see useControllableState
 const ControlledInput = () => {
   const [text, setText] = useState("");
 
-  const handleChange = (e) => {
-    setText(e.target.value); // React state stores value
-  };
-
   return (
     <div>
       <h3>Controlled Input</h3>
-      <input type="text" value={text} onChange={handleChange} />
+      <TextInput label="Name" value={text} onChange={(next) => setText(next.toUpperCase())} />
       <p>You typed: {text}</p>
     </div>
   );
@@ -46,18 +52,16 @@ const ControlledInput = () => {
  * Example:
  */
 
+// Uncontrolled usage → component owns the state, parent reads it via ref when needed
 const UncontrolledInput = () => {
   const inputRef = useRef();
 
-  const showValue = () => {
-    alert(`You typed: ${inputRef.current.value}`); // read directly from DOM
-  };
-
   return (
     <div>
       <h3>Uncontrolled Input</h3>
-      <input type="text" ref={inputRef} />
-      <button onClick={showValue}>Show Value</button>
+      <TextInput label="Name" defaultValue="Avi" ref={inputRef} />
+      <button onClick={() => alert(`You typed: ${inputRef.current.value}`)}>Show Value</button>
+      <button onClick={() => inputRef.current.reset()}>Reset</button>
     </div>
   );
 };
@@ -80,6 +84,126 @@ const UncontrolledInput = () => {
  * - Use Uncontrolled only for simple cases (like uncontrolled file inputs).
  */
 
+/**
+ * ===============================
+ * Supporting BOTH modes: useControllableState
+ * ===============================
+ * Design-system components (inputs, selects, toggles) must work both ways:
+ *   <TextInput value={text} onChange={setText} />   → controlled (parent owns state)
+ *   <TextInput defaultValue="Hi" />                  → uncontrolled (component owns state)
+ *
+ * `useControllableState({ value, defaultValue, onChange })` hides the difference:
+ * - `value !== undefined` → controlled: read `value`, ask the parent via `onChange`.
+ * - otherwise → uncontrolled: keep internal state, still call `onChange` to notify.
+ * - `onChange` is called right inside the event, in both modes.
+ * - Supports functional updates: setValue((prev) => prev + "!"). They build on the
+ *   COMMITTED value; only calls in the same event chain (like setState's queue), so a
+ *   parent that ignores onChange keeps getting the same request, not a drifting one.
+ * - `reset()` → back to `defaultValue`.
+ * - Warns (in dev) when a component flips between controlled and uncontrolled,
+ *   just like React does for <input>.
+ */
+
+export const useControllableState = ({ value, defaultValue, onChange, name = "Component" }) => {
+  const isControlled = value !== undefined;
+  const [internal, setInternal] = useState(defaultValue);
+  const current = isControlled ? value : internal;
+
+  // Latest values for the stable setter (updated before other effects/handlers run)
+  const currentRef = useRef(current);
+  const isControlledRef = useRef(isControlled);
+  const lastControlledRef = useRef(value);
+  const onChangeRef = useRef(onChange);
+  const defaultRef = useRef(defaultValue); // first defaultValue wins, like <input>
+  useLayoutEffect(() => {
+    currentRef.current = current;
+    isControlledRef.current = isControlled;
+    if (isControlled) lastControlledRef.current = value;
+    onChangeRef.current = onChange;
+  });
+
+  const wasControlled = useRef(isControlled);
+  // Value asked for earlier in the SAME event (cleared after it, in a microtask)
+  const pendingRef = useRef(null);
+
+  // Mode switches
+  useEffect(() => {
+    if (wasControlled.current === isControlled) return;
+    if (process.env.NODE_ENV !== "production") {
+      const from = wasControlled.current ? "controlled" : "uncontrolled";
+      const to = isControlled ? "controlled" : "uncontrolled";
+      console.warn(
+        `${name} is changing from ${from} to ${to}. ` +
+          "Decide between using a controlled or uncontrolled value for the lifetime of the component."
+      );
+    }
+    // controlled → uncontrolled: continue from the last value instead of jumping back
+    if (!isControlled) setInternal(lastControlledRef.current);
+    wasControlled.current = isControlled;
+  }, [isControlled, name]);
+
+  const setValue = useCallback((next) => {
+    const base = pendingRef.current ? pendingRef.current.value : currentRef.current;
+    const resolved = typeof next === "function" ? next(base) : next;
+    if (Object.is(resolved, base)) return;
+
+    if (!pendingRef.current) queueMicrotask(() => (pendingRef.current = null));
+    pendingRef.current = { value: resolved };
+    if (!isControlledRef.current) setInternal(resolved);
+    onChangeRef.current?.(resolved);
+  }, []);
+
+  const reset = useCallback(() => setValue(defaultRef.current), [setValue]);
+
+  return [current, setValue, { reset, isControlled }];
+};
+
+/**
+ * ✅ One input for both modes (used by ControlledInput / UncontrolledInput above)
+ * - Parent can also call `ref.current.reset()` / `ref.current.focus()`.
+ */
+
+const TextInput = forwardRef(({ value, defaultValue = "", onChange, label, ...rest }, ref) => {
+  const inputRef = useRef(null);
+  const [text, setText, { reset }] = useControllableState({
+    value,
+    defaultValue,
+    onChange,
+    name: "TextInput",
+  });
+
+  useImperativeHandle(ref, () => ({
+    reset,
+    focus: () => inputRef.current?.focus(),
+    get value() {
+      return text;
+    },
+  }));
+
+  return (
+    <label>
+      {label}
+      <input {...rest} ref={inputRef} value={text} onChange={(e) => setText(e.target.value)} />
+    </label>
+  );
+});
+
+// The same hook works for any value type, e.g. a toggle
+const Toggle = ({ checked, defaultChecked = false, onCheckedChange }) => {
+  const [on, setOn] = useControllableState({
+    value: checked,
+    defaultValue: defaultChecked,
+    onChange: onCheckedChange,
+    name: "Toggle",
+  });
+
+  return (
+    <button role="switch" aria-checked={on} onClick={() => setOn((prev) => !prev)}>
+      {on ? "ON" : "OFF"}
+    </button>
+  );
+};
+
 /**
  * ===============================
  * Q & A (Interview Style)
@@ -99,4 +223,12 @@ const UncontrolledInput = () => {
  * Q4: Give an example where uncontrolled components are useful.
  * A4: For file inputs (`<input type="file" />`), uncontrolled is easier since file handling is
  *     done by the browser, and React just reads the file reference.
+ *
+ * Q5: How can one component support both controlled and uncontrolled usage?
+ * A5: With a hook like `useControllableState`: if `value` is passed, use it and report changes
+ *     via `onChange`; otherwise keep internal state initialised from `defaultValue`.
+ *
+ * Q6: Why warn when a component switches between controlled and uncontrolled?
+ * A6: It usually means `value` became `undefined` by mistake (e.g. data not loaded yet),
+ *     which silently changes who owns the state.
  */
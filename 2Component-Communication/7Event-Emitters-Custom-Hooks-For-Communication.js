@@ -21,28 +21,88 @@
 
 /**
  * ===============================
- * Example 1: Simple Event Emitter
+ * Example 1: Event Bus (on / off / once / wildcards)
  * ===============================
+ * - `on` returns an "unsubscribe" function → perfect for useEffect cleanup.
+ * - `off` removes a listener (or all listeners of an event).
+ * - `once` listens for the first event only, then removes itself.
+ * - Wildcards: "cart:*" listens to "cart:add", "cart:remove", ... and "*" listens to everything.
+ * - Error isolation: if one listener throws, the others still run.
  */
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Does a listener pattern ("cart:*", "*", "newMessage") match an emitted event?
+const matchesEvent = (pattern, event) => {
+  if (pattern === "*" || pattern === event) return true;
+  if (pattern.endsWith(":*")) return event.startsWith(pattern.slice(0, -1));
+  return false;
+};
 
-// A very simple event emitter
 class EventEmitter {
-  constructor() {
-    this.events = {};
+  constructor({ onError } = {}) {
+    this.events = new Map(); // event (or pattern) → Set of listeners
+    // Where listener errors go (default: console) → one bad listener can't break the rest
+    this.onError =
+      onError ||
+      ((error, event) => console.error(`Listener for "${event}" failed:`, error));
   }
 
-  // Subscribe (listen) to event
+  // Subscribe (listen) to event → returns an unsubscribe function
   on(event, callback) {
-    if (!this.events[event]) this.events[event] = [];
-    this.events[event].push(callback);
+    if (!this.events.has(event)) this.events.set(event, new Set());
+    this.events.get(event).add(callback);
+    return () => this.off(event, callback);
   }
 
-  // Emit (send) event
-  emit(event, data) {
-    if (this.events[event]) {
-      this.events[event].forEach((callback) => callback(data));
+  // Listen only for the next event
+  once(event, callback) {
+    const wrapper = (data, eventName) => {
+      this.off(event, wrapper);
+      callback(data, eventName);
+    };
+    wrapper.original = callback; // lets off(event, callback) remove it too
+    return this.on(event, wrapper);
+  }
+
+  // Unsubscribe one listener, or every listener of the event if no callback given
+  off(event, callback) {
+    const listeners = this.events.get(event);
+    if (!listeners) return;
+
+    if (callback) {
+      listeners.forEach((listener) => {
+        if (listener === callback || listener.original === callback) {
+          listeners.delete(listener);
+        }
+      });
+    } else {
+      listeners.clear();
     }
+
+    if (listeners.size === 0) this.events.delete(event);
+  }
+
+  // Emit (send) event → returns true if anyone was listening
+  emit(event, data) {
+    // Copy listeners first, so on/off calls inside a listener don't affect this emit
+    const listeners = [];
+    this.events.forEach((set, pattern) => {
+      if (matchesEvent(pattern, event)) listeners.push(...set);
+    });
+
+    listeners.forEach((callback) => {
+      try {
+        callback(data, event); // event name is handy for wildcard listeners
+      } catch (error) {
+        this.onError(error, event);
+      }
+    });
+
+    return listeners.length > 0;
+  }
+
+  listenerCount(event) {
+    return this.events.get(event)?.size || 0;
   }
 }
 
@@ -62,22 +122,50 @@ const Receiver = () => {
   const [msg, setMsg] = useState("");
 
   useEffect(() => {
-    globalEmitter.on("newMessage", (data) => setMsg(data));
+    // ✅ Returning the unsubscribe function → listener removed on unmount
+    return globalEmitter.on("newMessage", (data) => setMsg(data));
   }, []);
 
   return <p>Received: {msg}</p>;
 };
 
+/*
+Wildcards & once in action (on a throwaway emitter – listeners added to
+`globalEmitter` at import time could never be removed):
+
+  const demo = new EventEmitter();
+  demo.on("cart:*", (item, event) => console.log("Analytics:", event, item));
+  demo.once("user:login", (user) => console.log("Welcome (shown once):", user));
+
+  demo.emit("cart:add", { id: 1 }); // Analytics: cart:add { id: 1 }
+  demo.emit("cart:remove", { id: 1 }); // Analytics: cart:remove { id: 1 }
+  demo.emit("user:login", "Avi"); // Welcome (shown once): Avi
+  demo.emit("user:login", "Avi"); // (nothing, once listener already removed)
+*/
+
 /**
  * ===============================
  * Example 2: Custom Hook for Events
  * ===============================
+ * - Subscribes on mount, unsubscribes on unmount (no leaks).
+ * - Keeps the latest handler in a ref → inline arrow functions don't cause
+ *   unsubscribe/resubscribe on every render, and we never call a stale handler.
  */
 
-const useEvent = (eventName, handler) => {
+// useLayoutEffect warns on the server; same timing in the browser
+const useIsomorphicLayoutEffect = typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+export const useEvent = (eventName, handler, emitter = globalEmitter) => {
+  const handlerRef = useRef(handler);
+
+  // Always point to the latest handler (updated before other effects run)
+  useIsomorphicLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
+
   useEffect(() => {
-    globalEmitter.on(eventName, handler);
-  }, [eventName, handler]);
+    return emitter.on(eventName, (data, event) => handlerRef.current(data, event));
+  }, [eventName, emitter]); // ✅ handler is NOT a dependency
 };
 
 // Usage
@@ -89,6 +177,29 @@ const ReceiverWithHook = () => {
   return <p>Receiver with Hook: {msg}</p>;
 };
 
+// Analytics for every cart event, only while this component is mounted
+const CartAnalytics = () => {
+  useEvent("cart:*", (item, event) => console.log("Analytics:", event, item));
+  return null;
+};
+
+// Usage with a wildcard → one listener for every notification type
+const NotificationCenter = () => {
+  const [notes, setNotes] = useState([]);
+
+  useEvent("notify:*", (text, event) =>
+    setNotes((prev) => [...prev, `${event.split(":")[1]}: ${text}`])
+  );
+
+  return (
+    <ul>
+      {notes.map((note, i) => (
+        <li key={i}>{note}</li>
+      ))}
+    </ul>
+  );
+};
+
 /**
  * ✅ Why Use This?
  * ----------------
@@ -121,4 +232,17 @@ const ReceiverWithHook = () => {
  * Q4: Can event emitters cause performance issues?
  * A4: Yes, if too many events are fired or listeners are not cleaned up properly.
  *     Always unsubscribe (cleanup) when components unmount.
+ *
+ * Q5: Why does `on` return a function?
+ * A5: So it can be returned directly from `useEffect` as the cleanup.
+ *     Without it, every mount adds another listener that is never removed (memory leak).
+ *
+ * Q6: Why does `useEvent` store the handler in a ref instead of a dependency?
+ * A6: Inline handlers are new on every render. As a dependency they would
+ *     unsubscribe/resubscribe each render; with a ref we subscribe once and
+ *     still always call the latest handler (no stale closures).
+ *
+ * Q7: What happens if one listener throws an error?
+ * A7: The emitter catches it, reports it via `onError`, and keeps calling the
+ *     other listeners → one broken analytics listener can't break notifications.
  */
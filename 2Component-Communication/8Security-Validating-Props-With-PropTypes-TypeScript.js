@@ -15,7 +15,7 @@
  * Both approaches help make sure components are used safely and correctly.
  */
 
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 
 /**
@@ -91,6 +91,245 @@ const UserProfileTS: React.FC<UserProfileProps> = ({ name, age = 18, isAdmin = f
  * - Prevents passing unexpected props at compile-time.
  */
 
+/**
+ * ===============================
+ * Example 3: Schema Validation at Runtime (dev AND production)
+ * ===============================
+ *
+ * PropTypes limits:
+ * - Only runs in development → production silently accepts bad data.
+ * - Shallow checks ("is it a number?"), no rules like "age between 0 and 150".
+ *
+ * Props coming from a server (SSR data, CMS, API) are untrusted, so we want:
+ * - Nested shapes, arrays, unions, allowed values, string formats, custom rules.
+ * - `withValidatedProps(Component, schema)` wrapper → validates on every render.
+ * - Dev: clear console errors. Production: SAMPLED reports sent to a sink (no silence).
+ * - Optional `coerce` ("42" → 42) and `stripUnknown` (drop props not in the schema).
+ */
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^https?:\/\/[^\s/$.?#].[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+  isoDate: /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/,
+};
+
+const INVALID = Symbol("invalid");
+
+const typeOf = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+const fail = (ctx, path, message) => {
+  ctx.issues.push({ path: path.join(".") || "(props)", message });
+  return INVALID;
+};
+
+// A schema knows how to check (and optionally coerce) one value
+class Schema {
+  constructor(kind, check) {
+    this.kind = kind;
+    this.check = check; // (value, ctx, path) → cleaned value or INVALID
+    this.isOptional = false;
+    this.rules = [];
+  }
+
+  clone(changes) {
+    return Object.assign(Object.create(Schema.prototype), this, changes);
+  }
+
+  optional() {
+    return this.clone({ isOptional: true });
+  }
+
+  // Custom rule, e.g. .refine((age) => age >= 0 && age <= 150, "must be between 0 and 150")
+  refine(test, message) {
+    return this.clone({ rules: [...this.rules, { test, message }] });
+  }
+
+  format(name) {
+    const pattern = FORMATS[name];
+    if (!pattern) throw new Error(`Unknown format "${name}"`);
+    return this.refine((value) => pattern.test(value), `must be a valid ${name}`);
+  }
+
+  parse(value, ctx, path = []) {
+    if (value === undefined || value === null) {
+      return this.isOptional ? value : fail(ctx, path, `is required (${this.kind})`);
+    }
+    const result = this.check(value, ctx, path);
+    if (result === INVALID) return INVALID;
+    for (const { test, message } of this.rules) {
+      if (!test(result)) return fail(ctx, path, message);
+    }
+    return result;
+  }
+}
+
+const primitive = (kind, coerceFn) =>
+  new Schema(kind, (value, ctx, path) => {
+    if (typeof value === kind) return value;
+    if (ctx.coerce) {
+      const coerced = coerceFn(value);
+      if (coerced !== INVALID) return coerced;
+    }
+    return fail(ctx, path, `expected ${kind}, got ${typeOf(value)}`);
+  });
+
+const v = {
+  string: () =>
+    primitive("string", (value) =>
+      typeof value === "number" || typeof value === "boolean" ? String(value) : INVALID
+    ),
+
+  number: () =>
+    primitive("number", (value) =>
+      typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))
+        ? Number(value)
+        : INVALID
+    ),
+
+  boolean: () =>
+    primitive("boolean", (value) =>
+      value === "true" ? true : value === "false" ? false : INVALID
+    ),
+
+  func: () => primitive("function", () => INVALID),
+
+  any: () => new Schema("any", (value) => value),
+
+  oneOf: (allowed) =>
+    new Schema(`one of ${allowed.join(", ")}`, (value, ctx, path) =>
+      allowed.includes(value) ? value : fail(ctx, path, `must be one of: ${allowed.join(", ")}`)
+    ),
+
+  arrayOf: (item) =>
+    new Schema("array", (value, ctx, path) => {
+      if (!Array.isArray(value)) return fail(ctx, path, `expected array, got ${typeOf(value)}`);
+      const result = value.map((entry, i) => item.parse(entry, ctx, [...path, i]));
+      if (!result.includes(INVALID)) return result;
+      return ctx.partial ? result.filter((entry) => entry !== INVALID) : INVALID;
+    }),
+
+  shape: (fields) =>
+    new Schema("object", (value, ctx, path) => {
+      if (typeOf(value) !== "object") {
+        return fail(ctx, path, `expected object, got ${typeOf(value)}`);
+      }
+      const result = ctx.stripUnknown ? {} : { ...value };
+      let valid = true;
+      Object.entries(fields).forEach(([key, schema]) => {
+        const parsed = schema.parse(value[key], ctx, [...path, key]);
+        if (parsed === INVALID) {
+          valid = false;
+          delete result[key]; // never pass the bad raw value through
+        } else if (parsed !== undefined) result[key] = parsed;
+      });
+      // partial → keep only the valid fields
+      return valid || ctx.partial ? result : INVALID;
+    }),
+
+  // First schema that matches wins
+  union: (...schemas) =>
+    new Schema(schemas.map((s) => s.kind).join(" | "), (value, ctx, path) => {
+      for (const schema of schemas) {
+        const attempt = { ...ctx, issues: [], partial: false }; // all-or-nothing per option
+        const result = schema.parse(value, attempt, path);
+        if (result !== INVALID) return result;
+      }
+      return fail(ctx, path, `expected ${schemas.map((s) => s.kind).join(" | ")}`);
+    }),
+};
+
+// `value` is ALWAYS the cleaned props (coerced, unknown stripped, invalid props dropped),
+// even when there are issues → raw, unvalidated props never reach the component
+const validateProps = (schema, props, { coerce = false, stripUnknown = false } = {}) => {
+  const ctx = { issues: [], coerce, stripUnknown, partial: true };
+  const { children } = props; // children are React's business, never stripped
+  const value = schema.parse(props, ctx);
+  return {
+    value: { ...(value === INVALID ? {} : value), ...(children !== undefined && { children }) },
+    issues: ctx.issues,
+  };
+};
+
+// Production reporting (configure once at app start)
+const reporting = {
+  sampleRate: 0.1, // send 10% of violations
+  // Default sink: fire-and-forget beacon (survives page unloads)
+  sink: (report) => navigator.sendBeacon?.("/api/prop-violations", JSON.stringify(report)),
+};
+
+export const configurePropValidation = ({ sink, sampleRate } = {}) => {
+  if (sink) reporting.sink = sink;
+  if (sampleRate !== undefined) reporting.sampleRate = sampleRate;
+};
+
+export const withValidatedProps = (
+  Component,
+  schema,
+  { coerce = false, stripUnknown = false, fallback } = {}
+) => {
+  const name = Component.displayName || Component.name || "Component";
+
+  const Validated = (props) => {
+    const { value, issues } = validateProps(schema, props, { coerce, stripUnknown });
+    const signature = issues.map((i) => `${i.path}: ${i.message}`).join("; ");
+
+    // Report after render (render must stay pure); once per distinct problem set
+    // (`issues` is a new array every render → the ref dedupes by signature)
+    const reportedRef = useRef("");
+    useEffect(() => {
+      if (reportedRef.current === signature) return;
+      reportedRef.current = signature;
+      if (!signature) return;
+      if (process.env.NODE_ENV !== "production") {
+        console.error(`Invalid props for <${name}>: ${signature}`);
+      } else if (Math.random() < reporting.sampleRate) {
+        // Only paths + messages → never send the (possibly sensitive/malicious) values
+        reporting.sink({ component: name, issues, url: window.location.pathname, time: Date.now() });
+      }
+    }, [signature, issues]);
+
+    if (issues.length > 0 && fallback !== undefined) return fallback;
+    return <Component {...value} />;
+  };
+
+  Validated.displayName = `withValidatedProps(${name})`;
+  return Validated;
+};
+
+// Usage
+const userProfileSchema = v.shape({
+  name: v.string().refine((n) => n.trim().length > 0, "must not be empty"),
+  age: v.number().refine((n) => n >= 0 && n <= 150, "must be between 0 and 150").optional(),
+  isAdmin: v.boolean().optional(),
+  email: v.string().format("email").optional(),
+  role: v.oneOf(["viewer", "editor", "admin"]).optional(),
+  address: v
+    .shape({
+      city: v.string(),
+      zip: v.union(v.string(), v.number()),
+    })
+    .optional(),
+  tags: v.arrayOf(v.string()).optional(),
+});
+
+const SafeUserProfile = withValidatedProps(UserProfile, userProfileSchema, {
+  coerce: true, // "25" from a query string / CMS → 25
+  stripUnknown: true, // drop anything not in the schema (e.g. injected dangerouslySetInnerHTML)
+  fallback: <p>Profile unavailable</p>,
+});
+
+configurePropValidation({
+  sampleRate: 0.05,
+  sink: (report) => fetch("/api/telemetry", { method: "POST", body: JSON.stringify(report) }),
+});
+
+// <SafeUserProfile name="Avi" age="25" />          → renders with age = 25
+// <SafeUserProfile name="Avi" age={200} />          → "age: must be between 0 and 150" → fallback
+// <SafeUserProfile name="Avi" email="not-an-email" /> → "email: must be a valid email"
+// Without `fallback`: the component still renders, but only with the valid, cleaned props
+//   (age={999} and unknown props like dangerouslySetInnerHTML are dropped)
+
 /**
  * 🚨 Security Angle:
  * ------------------
@@ -98,6 +337,8 @@ const UserProfileTS: React.FC<UserProfileProps> = ({ name, age = 18, isAdmin = f
  * - Prevents issues like rendering unsafe HTML or breaking UI.
  * - Example: If expecting `number` but receive `<script>hack()</script>`,
  *   PropTypes/TypeScript validation will warn or block it.
+ * - TypeScript types disappear at runtime and PropTypes are off in production →
+ *   for server-provided props, use a runtime schema (Example 3) that also reports in production.
  */
 
 /**
@@ -120,4 +361,16 @@ const UserProfileTS: React.FC<UserProfileProps> = ({ name, age = 18, isAdmin = f
  * Q4: How does this improve security?
  * A4: By preventing unsafe or unexpected props (like wrong types or injected data)
  *     from reaching sensitive parts of the app, reducing risks like XSS or crashes.
+ *
+ * Q5: Why isn't PropTypes enough for data coming from a server?
+ * A5: PropTypes only runs in development and checks shallow types. Server data is
+ *     untrusted at runtime, so it needs runtime schema validation in production too.
+ *
+ * Q6: Why sample production reports instead of sending every violation?
+ * A6: One bad payload can hit thousands of renders/users. Sampling keeps the signal
+ *     while protecting the network and the telemetry backend.
+ *
+ * Q7: What does "strip unknown props" protect against?
+ * A7: Unexpected props (e.g. `dangerouslySetInnerHTML`, `style`, event handlers)
+ *     injected by an untrusted source never reach the component.
  */
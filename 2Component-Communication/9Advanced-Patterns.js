@@ -14,6 +14,8 @@
  * 3. Pub/Sub (Publish–Subscribe) → A message system for decoupled communication.
  */
 
+import React from "react";
+
 /**
  * ===============================
  * 1. Mediator Pattern
@@ -25,34 +27,185 @@
  * don’t all shout at each other, they raise hands, and the teacher manages it.
  */
 
+// Errors thrown by the mediator carry a `code` so callers can react to each case
+class MediatorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "MediatorError";
+    this.code = code; // "NO_HANDLER" | "TIMEOUT" | "ABORTED"
+  }
+}
+
 class Mediator {
-  constructor() {
+  constructor({ onError } = {}) {
     this.handlers = {};
+    this.middlewares = [];
+    // Where errors from fire-and-forget `send` calls go
+    this.onError = onError || ((error) => console.error(error));
   }
 
+  // One handler per event → returns a function that unregisters it
   register(event, handler) {
     this.handlers[event] = handler;
+    return () => {
+      if (this.handlers[event] === handler) delete this.handlers[event];
+    };
+  }
+
+  // Middleware: (context, next) => result
+  // - context = { event, data, signal }
+  // - call next() to continue (or next(newContext) to change the payload)
+  // - throw (or don't call next) to stop the message
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  // Runs the middleware chain, then the handler → returns the handler's result
+  dispatch(context) {
+    const run = (index, ctx) => {
+      if (index === this.middlewares.length) {
+        const handler = this.handlers[ctx.event];
+        if (!handler) {
+          throw new MediatorError("NO_HANDLER", `No handler registered for "${ctx.event}"`);
+        }
+        return handler(ctx.data, { signal: ctx.signal });
+      }
+      return this.middlewares[index](ctx, (nextCtx = ctx) => run(index + 1, nextCtx));
+    };
+    return run(0, context);
   }
 
+  // Fire-and-forget (no answer expected) → events without a handler are ignored
   send(event, data) {
-    if (this.handlers[event]) {
-      this.handlers[event](data);
+    const report = (error) => {
+      if (error.code !== "NO_HANDLER") this.onError(error);
+    };
+    try {
+      Promise.resolve(this.dispatch({ event, data })).catch(report);
+    } catch (error) {
+      report(error);
     }
   }
+
+  // Request/response → returns a Promise with the handler's answer
+  // - timeout: reject if the handler takes too long (0 = no timeout)
+  // - signal: AbortSignal from the caller (e.g. component unmounted)
+  // The handler also receives a signal, aborted on timeout/cancel, to stop its own work.
+  request(event, data, { timeout = 5000, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      let timer;
+
+      const onAbort = () =>
+        fail(new MediatorError("ABORTED", `Request "${event}" was aborted`));
+
+      const finish = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      };
+
+      const fail = (error) => {
+        finish();
+        controller.abort(error);
+        reject(error);
+      };
+
+      if (signal?.aborted) return onAbort();
+      if (signal) signal.addEventListener("abort", onAbort);
+
+      if (timeout) {
+        timer = setTimeout(
+          () => fail(new MediatorError("TIMEOUT", `Request "${event}" timed out after ${timeout}ms`)),
+          timeout
+        );
+      }
+
+      // Run async so a sync throw (e.g. NO_HANDLER) becomes a rejected promise
+      Promise.resolve()
+        .then(() => this.dispatch({ event, data, signal: controller.signal }))
+        .then(
+          (result) => {
+            finish();
+            resolve(result); // ignored if already rejected by timeout/abort
+          },
+          (error) => {
+            finish();
+            reject(error);
+          }
+        );
+    });
+  }
 }
 
 // Example Usage
 const mediator = new Mediator();
 
-mediator.register("login", (user) => {
+// Middleware 1: logging
+mediator.use((ctx, next) => {
+  console.log("→", ctx.event, ctx.data);
+  return next();
+});
+
+// Middleware 2: auth check (only for protected events)
+const currentUser = { name: "Avi", loggedIn: true };
+mediator.use((ctx, next) => {
+  if (ctx.event.startsWith("account:") && !currentUser.loggedIn) {
+    throw new Error(`Not allowed: ${ctx.event}`);
+  }
+  return next();
+});
+
+// Middleware 3: payload validation
+mediator.use((ctx, next) => {
+  if (ctx.event === "login" && !ctx.data?.name) {
+    throw new Error("login requires a name");
+  }
+  return next();
+});
+
+mediator.register("login", async (user, { signal }) => {
+  // `signal` can be passed to fetch → request is cancelled on timeout/abort
   console.log("User logged in:", user);
+  return { token: "abc123", user };
 });
 
+// Fire-and-forget (same as before)
 mediator.send("login", { name: "Avi" });
 
+// Request/response with timeout
+mediator
+  .request("login", { name: "Avi" }, { timeout: 2000 })
+  .then((session) => console.log("Session:", session));
+
+// No handler → clear error
+mediator
+  .request("logout")
+  .catch((error) => console.log(error.code, error.message)); // NO_HANDLER ...
+
+// In a component → cancel the request when it unmounts
+const LoginStatus = () => {
+  const [session, setSession] = React.useState(null);
+
+  React.useEffect(() => {
+    const controller = new AbortController();
+    mediator
+      .request("login", { name: "Avi" }, { signal: controller.signal })
+      .then(setSession)
+      .catch((error) => {
+        if (error.code !== "ABORTED") console.error(error);
+      });
+    return () => controller.abort();
+  }, []);
+
+  return <p>{session ? `Hi ${session.user.name}` : "Logging in..."}</p>;
+};
+
 /**
  * ✅ Use case in React:
  * - Handling complex workflows where many components need coordination.
+ * - `request` gives components an answer (Promise) instead of ad-hoc callbacks.
+ * - Middleware = one place for logging, auth checks, and payload validation.
  */
 
 /**
@@ -66,32 +219,275 @@ mediator.send("login", { name: "Avi" });
  * When the channel uploads a video, you (Observer) get notified.
  */
 
-class Subject {
+// Observable = "something you can subscribe to".
+// subscribe(observer) always returns an unsubscribe function (teardown).
+class Observable {
+  constructor(subscribeFn) {
+    if (subscribeFn) this._subscribe = subscribeFn;
+  }
+
+  subscribe(observer) {
+    const teardown = this._subscribe(observer);
+    let closed = false;
+    return () => {
+      if (closed) return; // calling unsubscribe twice is safe
+      closed = true;
+      if (teardown) teardown();
+    };
+  }
+
+  // subject.pipe(map(...), filter(...)) → new Observable
+  pipe(...operators) {
+    return operators.reduce((source, operator) => operator(source), this);
+  }
+}
+
+class Subject extends Observable {
   constructor() {
+    super();
     this.observers = [];
   }
 
-  subscribe(observer) {
+  _subscribe(observer) {
     this.observers.push(observer);
+    return () => {
+      this.observers = this.observers.filter((o) => o !== observer);
+    };
   }
 
   notify(data) {
-    this.observers.forEach((observer) => observer(data));
+    // Copy first → unsubscribing inside an observer is safe
+    [...this.observers].forEach((observer) => observer(data));
+  }
+
+  next(data) {
+    this.notify(data);
   }
 }
 
 // Example Usage
 const subject = new Subject();
 
-subject.subscribe((msg) => console.log("Observer 1:", msg));
+const unsubscribeObserver1 = subject.subscribe((msg) => console.log("Observer 1:", msg));
 subject.subscribe((msg) => console.log("Observer 2:", msg));
 
 subject.notify("New Data Available");
+unsubscribeObserver1(); // ✅ Observer 1 stops listening
+
+/**
+ * ----------------------------------------------------
+ * 2.1 Operators (mini RxJS)
+ * ----------------------------------------------------
+ * - An operator takes a source Observable and returns a new one.
+ * - Each operator's teardown unsubscribes from its source and clears its timers,
+ *   so unsubscribing at the end of the chain cleans up the whole chain.
+ */
+
+const map = (fn) => (source) =>
+  new Observable((observer) => source.subscribe((value) => observer(fn(value))));
+
+const filter = (predicate) => (source) =>
+  new Observable((observer) =>
+    source.subscribe((value) => {
+      if (predicate(value)) observer(value);
+    })
+  );
+
+// Emit only after `ms` of silence (e.g. user stopped typing)
+const debounce = (ms) => (source) =>
+  new Observable((observer) => {
+    let timer;
+    const unsubscribe = source.subscribe((value) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => observer(value), ms);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  });
+
+// Emit at most once every `ms`: first value right away, latest value at the end of the window
+const throttle = (ms) => (source) =>
+  new Observable((observer) => {
+    let timer = null;
+    let hasTrailing = false;
+    let trailing;
+
+    const endWindow = () => {
+      timer = null;
+      if (!hasTrailing) return;
+      hasTrailing = false;
+      observer(trailing); // last value of the burst is never dropped
+      timer = setTimeout(endWindow, ms);
+    };
+
+    const unsubscribe = source.subscribe((value) => {
+      if (timer) {
+        hasTrailing = true;
+        trailing = value;
+        return;
+      }
+      observer(value);
+      timer = setTimeout(endWindow, ms);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  });
+
+// Skip values equal to the previous one
+const distinctUntilChanged = (isEqual = Object.is) => (source) =>
+  new Observable((observer) => {
+    let hasPrevious = false;
+    let previous;
+    return source.subscribe((value) => {
+      if (hasPrevious && isEqual(previous, value)) return;
+      hasPrevious = true;
+      previous = value;
+      observer(value);
+    });
+  });
+
+// Emit [a, b, ...] with the latest value of each source (once all have emitted)
+const combineLatest = (...sources) =>
+  new Observable((observer) => {
+    const values = new Array(sources.length);
+    const hasValue = new Array(sources.length).fill(false);
+    const unsubscribes = sources.map((source, i) =>
+      source.subscribe((value) => {
+        values[i] = value;
+        hasValue[i] = true;
+        if (hasValue.every(Boolean)) observer([...values]);
+      })
+    );
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+
+// Emit values from all sources as they arrive
+const merge = (...sources) =>
+  new Observable((observer) => {
+    const unsubscribes = sources.map((source) => source.subscribe(observer));
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+
+// Map each value to an inner Observable and only listen to the LATEST one
+// (older inner subscriptions are torn down → no out-of-order search results)
+const switchMap = (project) => (source) =>
+  new Observable((observer) => {
+    let unsubscribeInner = null;
+    const unsubscribeOuter = source.subscribe((value) => {
+      if (unsubscribeInner) unsubscribeInner();
+      unsubscribeInner = project(value).subscribe(observer);
+    });
+    return () => {
+      if (unsubscribeInner) unsubscribeInner();
+      unsubscribeOuter();
+    };
+  });
+
+// Helper: wrap an async call → aborted when unsubscribed (e.g. by switchMap)
+const fromPromise = (factory) =>
+  new Observable((observer) => {
+    const controller = new AbortController();
+    factory(controller.signal).then(
+      (value) => {
+        if (!controller.signal.aborted) observer(value);
+      },
+      (error) => {
+        if (!controller.signal.aborted) console.error(error);
+      }
+    );
+    return () => controller.abort();
+  });
+
+/**
+ * ----------------------------------------------------
+ * 2.2 useObservable → Observable into React state
+ * ----------------------------------------------------
+ * - Built on `useSyncExternalStore` → tearing-safe in concurrent rendering
+ *   (every component sees the same value during one render).
+ * - ⚠️ Pass a stable Observable (module-level or `useMemo`), otherwise a new
+ *   chain is subscribed on every render.
+ */
+
+const useObservable = (source$, initialValue) => {
+  // Only the first initialValue is used (like useState) → not a dependency
+  const initialValueRef = React.useRef(initialValue);
+
+  const store = React.useMemo(() => {
+    let current = initialValueRef.current;
+    return {
+      subscribe: (onChange) =>
+        source$.subscribe((value) => {
+          current = value;
+          onChange();
+        }),
+      getSnapshot: () => current,
+    };
+  }, [source$]);
+
+  return React.useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
+};
+
+// Live search: debounce typing, ignore duplicates, cancel stale requests
+const query$ = new Subject();
+
+const results$ = query$.pipe(
+  map((text) => text.trim()),
+  filter((text) => text.length > 1),
+  debounce(300),
+  distinctUntilChanged(),
+  switchMap((text) =>
+    fromPromise((signal) =>
+      fetch(`/api/search?q=${encodeURIComponent(text)}`, { signal }).then((res) => res.json())
+    )
+  )
+);
+
+const LiveSearch = () => {
+  const results = useObservable(results$, []);
+
+  return (
+    <div>
+      <input onChange={(e) => query$.next(e.target.value)} placeholder="Search..." />
+      <ul>
+        {results.map((item) => (
+          <li key={item.id}>{item.name}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Price ticker: two feeds combined, UI updated at most once per second
+const btc$ = new Subject();
+const eth$ = new Subject();
+
+const prices$ = combineLatest(btc$, eth$).pipe(
+  throttle(1000),
+  map(([btc, eth]) => ({ btc, eth }))
+);
+
+const PriceTicker = () => {
+  const prices = useObservable(prices$, { btc: "-", eth: "-" });
+  return (
+    <p>
+      BTC: {prices.btc} | ETH: {prices.eth}
+    </p>
+  );
+};
+
+// merge → one stream of "activity" from both feeds
+const activity$ = merge(btc$.pipe(map(() => "btc")), eth$.pipe(map(() => "eth")));
 
 /**
  * ✅ Use case in React:
  * - Global state libraries like Redux and MobX follow Observer principles.
  * - Whenever state changes, all connected components re-render.
+ * - Operators + `useObservable` replace one-off effect plumbing for
+ *   live search, tickers, and other streams of values.
  */
 
 /**
@@ -107,38 +503,295 @@ subject.notify("New Data Available");
  * People (subscribers) tune in, but the radio station doesn’t know them personally.
  */
 
+// MQTT-style topic matching:
+// - "+" matches exactly one level  → "chat/+/typing" matches "chat/room1/typing"
+// - "#" matches all remaining levels → "chat/room1/#" matches "chat/room1/msg" (and "chat/room1")
+const topicMatches = (filter, topic) => {
+  const filterLevels = filter.split("/");
+  const topicLevels = topic.split("/");
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === "#") return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+};
+
 class PubSub {
-  constructor() {
-    this.events = {};
+  // replayLimit = how many recent messages to keep per topic (0 = no replay buffer)
+  constructor({ replayLimit = 0 } = {}) {
+    this.subscriptions = new Set(); // { filter, handler }
+    this.retained = new Map(); // topic → last retained message
+    this.history = new Map(); // topic → last N messages
+    this.replayLimit = replayLimit;
+    this.seq = 0; // keeps replayed messages in publish order across topics
   }
 
-  subscribe(event, handler) {
-    if (!this.events[event]) this.events[event] = [];
-    this.events[event].push(handler);
+  // Returns an unsubscribe function (easy to return from useEffect)
+  // - Late subscribers immediately get retained messages for matching topics.
+  // - { replay: true } → get the replay buffer instead (last N messages per topic).
+  subscribe(filter, handler, { replay = false } = {}) {
+    const subscription = { filter, handler };
+    this.subscriptions.add(subscription);
+
+    const source = replay && this.replayLimit > 0 ? this.history : this.retained;
+    const missed = [];
+    source.forEach((messages, topic) => {
+      if (topicMatches(filter, topic)) missed.push(...[].concat(messages));
+    });
+    missed
+      .sort((a, b) => a.seq - b.seq)
+      .forEach((message) => handler(message.data, message.topic));
+
+    return () => this.subscriptions.delete(subscription);
   }
 
-  publish(event, data) {
-    if (this.events[event]) {
-      this.events[event].forEach((handler) => handler(data));
+  // retain: true → stored as the topic's "last value" for future subscribers
+  // (publishing undefined with retain: true clears the retained value)
+  publish(topic, data, { retain = false } = {}) {
+    if (topic.includes("+") || topic.includes("#")) {
+      throw new Error(`Cannot publish to a wildcard topic: "${topic}"`);
+    }
+
+    const message = { topic, data, seq: this.seq++ };
+
+    if (retain) {
+      if (data === undefined) this.retained.delete(topic);
+      else this.retained.set(topic, message);
+    }
+
+    if (this.replayLimit > 0) {
+      const buffer = this.history.get(topic) || [];
+      buffer.push(message);
+      if (buffer.length > this.replayLimit) buffer.shift();
+      this.history.set(topic, buffer);
     }
+
+    // Copy first → unsubscribing inside a handler is safe
+    [...this.subscriptions].forEach(({ filter, handler }) => {
+      if (topicMatches(filter, topic)) handler(data, topic);
+    });
   }
 }
 
 // Example Usage
-const pubsub = new PubSub();
+const pubsub = new PubSub({ replayLimit: 10 });
 
 pubsub.subscribe("chat", (msg) => console.log("User A got:", msg));
 pubsub.subscribe("chat", (msg) => console.log("User B got:", msg));
 
 pubsub.publish("chat", "Hello World");
 
+// Hierarchical topics
+pubsub.subscribe("chat/room1/#", (msg, topic) => console.log("Room 1:", topic, msg));
+pubsub.subscribe("chat/+/typing", (user, topic) => console.log("Typing:", topic, user));
+
+pubsub.publish("chat/room1/message", "Hi room 1"); // Room 1: chat/room1/message Hi room 1
+pubsub.publish("chat/room2/typing", "Bob"); // Typing: chat/room2/typing Bob
+
+// Retained message → subscribers that arrive later still get the last value
+pubsub.publish("status/server", "online", { retain: true });
+const unsubscribe = pubsub.subscribe("status/#", (status) =>
+  console.log("Late subscriber got:", status) // "online" immediately
+);
+unsubscribe(); // ✅ stop listening
+
+// Replay buffer → late subscriber gets the recent messages in order
+pubsub.subscribe("chat/room1/#", (msg) => console.log("Replayed:", msg), { replay: true });
+
+// In React → a lazily-loaded panel shows the latest value as soon as it mounts
+const useTopic = (filter, initialValue) => {
+  const [value, setValue] = React.useState(initialValue);
+
+  React.useEffect(() => pubsub.subscribe(filter, setValue), [filter]);
+
+  return value;
+};
+
+const ServerStatusPanel = () => {
+  const status = useTopic("status/server", "unknown");
+  return <p>Server: {status}</p>;
+};
+
 /**
  * ✅ Use case in React:
  * - Notification systems
  * - Event-driven UI (like chat apps, logging, analytics)
  * - Decoupling independent modules
+ * - Lazily-loaded components that need the "current" value (retained messages)
  */
 
+/**
+ * ===============================
+ * 4. Cross-Tab Broadcasting (transport adapters)
+ * ===============================
+ * - PubSub, EventEmitter and Subject only live inside ONE browser tab.
+ * - A bridge mirrors selected topics to other tabs of the same app:
+ *   → `BroadcastChannel` when available, `storage` events as a fallback.
+ * - Rules:
+ *   1. Only allow-listed topics cross tabs (never broadcast everything).
+ *   2. Every message has an id → duplicates are dropped.
+ *   3. Messages received from another tab are NOT sent back (no echo loops).
+ * - Data must be JSON/structured-clone friendly (no functions, no DOM nodes).
+ *
+ * Analogy: An intercom between rooms. You choose which announcements
+ * go over the intercom, and nobody repeats an announcement they just heard.
+ */
+
+const randomId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Transport = { send(message), listen(callback) → stop, close() }
+const createBroadcastChannelTransport = (name) => {
+  const channel = new BroadcastChannel(name);
+  return {
+    send: (message) => channel.postMessage(message),
+    listen: (callback) => {
+      const onMessage = (event) => callback(event.data);
+      channel.addEventListener("message", onMessage);
+      return () => channel.removeEventListener("message", onMessage);
+    },
+    close: () => channel.close(),
+  };
+};
+
+// Fallback: writing to localStorage fires a `storage` event in OTHER tabs
+const createStorageTransport = (name) => {
+  const key = `cross-tab:${name}`;
+  return {
+    send: (message) => {
+      localStorage.setItem(key, JSON.stringify(message));
+      localStorage.removeItem(key); // don't leave messages behind
+    },
+    listen: (callback) => {
+      const onStorage = (event) => {
+        if (event.key !== key || !event.newValue) return; // ignore removals
+        try {
+          callback(JSON.parse(event.newValue));
+        } catch {
+          // ignore malformed values written by someone else
+        }
+      };
+      window.addEventListener("storage", onStorage);
+      return () => window.removeEventListener("storage", onStorage);
+    },
+    close: () => {},
+  };
+};
+
+const createCrossTabTransport = (name) =>
+  typeof BroadcastChannel !== "undefined"
+    ? createBroadcastChannelTransport(name)
+    : createStorageTransport(name);
+
+// Adapters → give every bus the same { subscribe, publish, matches, isPattern, all } shape
+// (`all` = the filter that matches every local event, `isPattern` = a filter, not a topic)
+const pubSubAdapter = (bus) => ({
+  all: "#",
+  subscribe: (topic, handler) => bus.subscribe(topic, handler),
+  publish: (topic, data) => bus.publish(topic, data),
+  matches: topicMatches,
+  isPattern: (topic) => topic.includes("+") || topic.includes("#"),
+});
+
+// For the EventEmitter from the Event Emitters notes (supports "cart:*" patterns)
+const emitterAdapter = (emitter) => ({
+  all: "*",
+  subscribe: (event, handler) => emitter.on(event, handler),
+  publish: (event, data) => emitter.emit(event, data),
+  matches: (pattern, event) =>
+    pattern === "*" ||
+    pattern === event ||
+    (pattern.endsWith(":*") && event.startsWith(pattern.slice(0, -1))),
+  isPattern: (event) => event === "*" || event.endsWith(":*"),
+});
+
+// A Subject is one stream → give it a name to use as its topic
+const subjectAdapter = (subject, name) => ({
+  all: name,
+  subscribe: (topic, handler) => subject.subscribe((data) => handler(data, topic)),
+  publish: (topic, data) => subject.next(data),
+  matches: (filter, topic) => filter === name && topic === name,
+  isPattern: () => false,
+});
+
+// Connect a bus to other tabs → returns a disconnect function
+const connectCrossTab = (
+  adapter,
+  { channel = "app-events", topics = [], transport = createCrossTabTransport(channel) } = {}
+) => {
+  if (topics.length === 0) {
+    throw new Error("connectCrossTab: allow-list at least one topic to broadcast");
+  }
+
+  const tabId = randomId();
+  const seen = new Set(); // recent message ids
+  let muted = false; // true while we publish a message that came from another tab
+
+  const remember = (id) => {
+    seen.add(id);
+    if (seen.size > 500) seen.delete(seen.values().next().value); // keep memory bounded
+  };
+
+  const isAllowed = (topic) =>
+    typeof topic === "string" && topics.some((filter) => adapter.matches(filter, topic));
+
+  // Local → other tabs: ONE subscription to everything, then the allow-list check
+  // (one subscription per filter would post an event twice when filters overlap)
+  muted = true; // don't broadcast retained/replayed values delivered on subscribe
+  const unsubscribe = adapter.subscribe(adapter.all, (data, topic = adapter.all) => {
+    if (muted || !isAllowed(topic)) return;
+    const message = { id: randomId(), source: tabId, topic, data };
+    remember(message.id);
+    transport.send(message);
+  });
+  muted = false;
+
+  // Other tabs → local
+  const stopListening = transport.listen((message) => {
+    if (!message || message.source === tabId) return; // our own message
+    if (seen.has(message.id)) return; // duplicate
+    if (!isAllowed(message.topic)) return; // not on the allow-list
+    if (adapter.isPattern(message.topic)) return; // "cart/#" is a filter → publish would throw
+    remember(message.id);
+
+    muted = true; // ✅ stops the echo back to the sender tab
+    try {
+      adapter.publish(message.topic, message.data);
+    } finally {
+      muted = false;
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    stopListening();
+    transport.close();
+  };
+};
+
+// Example Usage → logout and cart changes show up in every open tab
+const appBus = new PubSub();
+
+const CrossTabSync = () => {
+  React.useEffect(
+    () =>
+      connectCrossTab(pubSubAdapter(appBus), {
+        channel: "shop",
+        topics: ["auth/logout", "cart/#"],
+      }),
+    []
+  );
+  return null;
+};
+
+appBus.subscribe("auth/logout", () => console.log("Logged out (in this tab too)"));
+// Only this tab here; with <CrossTabSync /> mounted, every open tab runs its logout listener
+appBus.publish("auth/logout", { reason: "user" });
+
 /**
  * ===============================
  * Summary
@@ -146,6 +799,7 @@ pubsub.publish("chat", "Hello World");
  * - Mediator → Central "middleman" for component communication.
  * - Observer → One object notifies many observers (like state → UI updates).
  * - Pub/Sub → Decoupled event system with publishers & subscribers.
+ * - Cross-tab bridge → mirrors allow-listed topics to other tabs of the app.
  *
  * 🚀 Tip:
  * - For small apps → use props, context.
@@ -173,7 +827,39 @@ pubsub.publish("chat", "Hello World");
  * A4: When multiple components need to coordinate (e.g., a checkout process
  *     where cart, payment, and shipping must talk in a controlled way).
  *
+ * Q4.1: How does a Mediator "request" differ from "send"?
+ * A4.1: `send` is fire-and-forget. `request` returns a Promise with the handler's
+ *       result, and rejects with a clear error on timeout, abort, or missing handler.
+ *
+ * Q4.2: Why use middleware in a Mediator?
+ * A4.2: Cross-cutting logic (logging, auth, validation) is written once and wraps
+ *       every message, instead of being repeated inside each handler.
+ *
  * Q5: Is Pub/Sub good for large React apps?
  * A5: It’s useful, but can get hard to debug if too many events exist.
  *     Use libraries (Redux, Zustand, Recoil) that implement structured patterns.
+ *
+ * Q5.1: What does `switchMap` do, and why is it useful for search?
+ * A5.1: For each new value it unsubscribes from the previous inner Observable
+ *       (cancelling the old request) and only listens to the newest → no stale results.
+ *
+ * Q5.2: Why use `useSyncExternalStore` for `useObservable` instead of useEffect + useState?
+ * A5.2: It is the official way to read external stores. React can't "tear"
+ *       (show different values in one render) during concurrent rendering.
+ *
+ * Q6: What is a retained message?
+ * A6: The last value published on a topic with `retain: true`. It is stored and
+ *     sent to every new subscriber right away, so late-mounting components don't show stale UI.
+ *
+ * Q6.1: How do you sync events across browser tabs?
+ * A6.1: With `BroadcastChannel` (or the `storage` event as a fallback). Each message
+ *       gets an id and a tab id, so duplicates and echoes back to the sender are ignored.
+ *
+ * Q6.2: Why allow-list topics instead of broadcasting everything?
+ * A6.2: Less noise and safer: only events meant to be shared (logout, cart) leave
+ *       the tab, and other tabs can't inject arbitrary events into ours.
+ *
+ * Q7: What do "+" and "#" mean in a topic filter?
+ * A7: "+" matches exactly one level ("chat/+/typing"), "#" matches everything
+ *     below a level ("chat/room1/#"). They are only allowed when subscribing, not publishing.
  */
@@ -27,7 +27,15 @@
  * - useReducer = "Project Planner" (structured, handles many moving parts).
  */
 
-import React, { useState, useReducer } from "react";
+import React, {
+  useState,
+  useReducer,
+  useRef,
+  useMemo,
+  useEffect,
+  useLayoutEffect,
+  useSyncExternalStore,
+} from "react";
 
 /**
  * ===============================
@@ -83,6 +91,612 @@ const CounterWithUseReducer = () => {
   );
 };
 
+/**
+ * ===============================
+ * Example 3: Reducer Toolkit (createSlice + middleware)
+ * ===============================
+ * Hand-written switch statements get long, and every case must copy state
+ * immutably (`{ ...state, items: [...state.items, item] }`). Redux Toolkit fixes this;
+ * here is a small version for LOCAL state, without adopting Redux:
+ *
+ * - `produce(state, (draft) => { draft.count++ })`
+ *   → "mutate" a draft, get a NEW immutable state back (copy-on-write, like Immer).
+ *   → Untouched parts keep the same reference (good for React.memo / selectors).
+ * - `createSlice({ name, initialState, reducers })`
+ *   → generates the reducer AND the action creators.
+ * - `useEnhancedReducer(reducer, initialState, middlewares)`
+ *   → useReducer + Redux-style middleware (logger, thunk, async).
+ */
+
+const DRAFT_STATE = Symbol("draft");
+
+const isDraftable = (value) =>
+  Array.isArray(value) ||
+  (value !== null &&
+    typeof value === "object" &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+
+// A draft is a Proxy: reads go to the original, the first write makes a shallow copy
+const createDraft = (base, parent = null) => {
+  const state = { base, copy: null, parent, children: new Map() };
+  const current = () => state.copy || state.base;
+
+  const markChanged = (s) => {
+    if (s.copy) return;
+    s.copy = Array.isArray(s.base) ? [...s.base] : { ...s.base };
+    if (s.parent) markChanged(s.parent);
+  };
+
+  return new Proxy(Array.isArray(base) ? [] : {}, {
+    get(_, prop) {
+      if (prop === DRAFT_STATE) return state;
+      const value = current()[prop];
+      if (!isDraftable(value) || !Object.prototype.hasOwnProperty.call(current(), prop)) {
+        return value;
+      }
+      // Nested objects become drafts lazily (only the path you touch is copied)
+      const cached = state.children.get(prop);
+      if (cached && cached[DRAFT_STATE].base === value) return cached;
+      const child = createDraft(value, state);
+      state.children.set(prop, child);
+      return child;
+    },
+    set(_, prop, value) {
+      markChanged(state);
+      state.copy[prop] = value;
+      state.children.delete(prop);
+      return true;
+    },
+    deleteProperty(_, prop) {
+      markChanged(state);
+      delete state.copy[prop];
+      state.children.delete(prop);
+      return true;
+    },
+    has: (_, prop) => prop in current(),
+    ownKeys: () => Reflect.ownKeys(current()),
+    getOwnPropertyDescriptor: (_, prop) => Reflect.getOwnPropertyDescriptor(current(), prop),
+  });
+};
+
+// Turn a draft back into plain objects (unchanged branches → original references)
+const finalize = (value, seen = new WeakSet()) => {
+  if (!value || typeof value !== "object") return value;
+  const state = value[DRAFT_STATE];
+  if (state) {
+    if (!state.copy) return state.base;
+    state.children.forEach((child, key) => {
+      if (state.copy[key] === child[DRAFT_STATE].base) state.copy[key] = child;
+    });
+    Object.keys(state.copy).forEach((key) => {
+      if (state.copy[key] !== state.base[key]) state.copy[key] = finalize(state.copy[key], seen);
+    });
+    return state.copy;
+  }
+
+  // New containers built in the recipe (e.g. `state.items.filter(...)`) can hold drafts too
+  if (!isDraftable(value) || seen.has(value)) return value;
+  seen.add(value);
+  Object.keys(value).forEach((key) => {
+    const finalized = finalize(value[key], seen);
+    if (finalized !== value[key]) value[key] = finalized;
+  });
+  return value;
+};
+
+export const produce = (base, recipe) => {
+  if (!isDraftable(base)) return recipe(base) ?? base;
+  const draft = createDraft(base);
+  const returned = recipe(draft);
+  // Like Immer: mutate the draft OR return a brand-new state
+  return returned !== undefined && returned !== draft ? finalize(returned) : finalize(draft);
+};
+
+export const createSlice = ({ name, initialState, reducers }) => {
+  const caseReducers = {};
+  const actions = {};
+
+  Object.entries(reducers).forEach(([key, caseReducer]) => {
+    const type = `${name}/${key}`;
+    caseReducers[type] = caseReducer;
+
+    const actionCreator = (payload) => ({ type, payload });
+    actionCreator.type = type;
+    actionCreator.match = (action) => action.type === type;
+    actions[key] = actionCreator;
+  });
+
+  const reducer = (state = initialState, action) => {
+    const caseReducer = caseReducers[action.type];
+    if (!caseReducer) return state;
+    return produce(state, (draft) => caseReducer(draft, action));
+  };
+
+  return { name, reducer, actions, caseReducers };
+};
+
+/**
+ * Middleware (same signature as Redux): store => next => action => result
+ * - store = { getState, dispatch }
+ * - call next(action) to pass it on; don't call it to swallow the action.
+ */
+
+export const loggerMiddleware = (store) => (next) => (action) => {
+  const label = typeof action === "function" ? "(thunk)" : action.type;
+  console.groupCollapsed(`action ${label}`);
+  console.log("prev state", store.getState());
+  const result = next(action);
+  console.log("next state", store.getState());
+  console.groupEnd();
+  return result;
+};
+
+// dispatch(function) → function(dispatch, getState) runs instead (async logic, conditions)
+export const thunkMiddleware = (store) => (next) => (action) =>
+  typeof action === "function" ? action(store.dispatch, store.getState) : next(action);
+
+// { type: "users/load", payload: promise } → "users/load/pending" | "/fulfilled" | "/rejected"
+export const asyncMiddleware = (store) => (next) => (action) => {
+  if (!action || typeof action.payload?.then !== "function") return next(action);
+
+  const { type, payload, meta } = action;
+  store.dispatch({ type: `${type}/pending`, meta });
+  return payload.then(
+    (value) => store.dispatch({ type: `${type}/fulfilled`, payload: value, meta }),
+    (error) => store.dispatch({ type: `${type}/rejected`, error: String(error), meta })
+  );
+};
+
+export const useEnhancedReducer = (reducer, initialState, middlewares = []) => {
+  const [state, setState] = useState(initialState);
+
+  // The ref always holds the LATEST state → getState() is correct right after dispatch
+  const stateRef = useRef(state);
+  const reducerRef = useRef(reducer);
+  // Not during render: a discarded concurrent render must not leave its reducer behind
+  useLayoutEffect(() => {
+    reducerRef.current = reducer;
+  });
+
+  // Built once (like Redux applyMiddleware) → dispatch is stable.
+  // `middlewares` is read on mount only; swapping it later has no effect.
+  const [dispatch] = useState(() => {
+    let enhancedDispatch = () => {
+      throw new Error("Dispatching while constructing middleware is not allowed.");
+    };
+    const store = {
+      getState: () => stateRef.current,
+      dispatch: (action) => enhancedDispatch(action),
+    };
+    const baseDispatch = (action) => {
+      stateRef.current = reducerRef.current(stateRef.current, action);
+      setState(stateRef.current);
+      return action;
+    };
+    enhancedDispatch = middlewares
+      .map((middleware) => middleware(store))
+      .reduceRight((next, middleware) => middleware(next), baseDispatch);
+    return store.dispatch;
+  });
+
+  return [state, dispatch];
+};
+
+// Usage: a todo slice (no switch, no spread-copies)
+const todosSlice = createSlice({
+  name: "todos",
+  initialState: { items: [], status: "idle" },
+  reducers: {
+    added(state, action) {
+      state.items.push({ id: Date.now(), text: action.payload, done: false });
+    },
+    toggled(state, action) {
+      const todo = state.items.find((t) => t.id === action.payload);
+      if (todo) todo.done = !todo.done;
+    },
+    removed(state, action) {
+      state.items = state.items.filter((t) => t.id !== action.payload);
+    },
+    // Dispatched by asyncMiddleware for { type: "todos/loaded", payload: promise }
+    "loaded/pending"(state) {
+      state.status = "loading";
+    },
+    "loaded/fulfilled"(state, action) {
+      state.status = "idle";
+      state.items = action.payload;
+    },
+  },
+});
+
+const { added, toggled, removed } = todosSlice.actions;
+
+// Thunk: async logic + access to current state
+const addIfNew = (text) => (dispatch, getState) => {
+  if (getState().items.some((t) => t.text === text)) return;
+  dispatch(added(text));
+};
+
+const TodoList = () => {
+  const [state, dispatch] = useEnhancedReducer(
+    todosSlice.reducer,
+    todosSlice.reducer(undefined, { type: "@@init" }),
+    [thunkMiddleware, asyncMiddleware, loggerMiddleware]
+  );
+
+  React.useEffect(() => {
+    dispatch({ type: "todos/loaded", payload: fetch("/api/todos").then((r) => r.json()) });
+  }, [dispatch]);
+
+  return (
+    <div>
+      {state.status === "loading" && <p>Loading...</p>}
+      <button onClick={() => dispatch(addIfNew("Learn reducers"))}>Add</button>
+      <ul>
+        {state.items.map((todo) => (
+          <li key={todo.id} onClick={() => dispatch(toggled(todo.id))}>
+            {todo.done ? "✅" : "⬜"} {todo.text}
+            <button onClick={() => dispatch(removed(todo.id))}>x</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * ===============================
+ * Example 4: Persisting Reducer State (versions + migrations)
+ * ===============================
+ * Neither useState nor useReducer survives a reload. To persist safely:
+ *
+ * - `persistStore(store, { key, version, migrate, storage, throttle, allow, deny })`
+ *   → works with any store that has getState/get + subscribe (+ dispatch or set):
+ *     the Redux store from 17Redux, the external store from "Lifting State Up", ...
+ * - `usePersistentReducer(reducer, initialState, options)` → useReducer that persists.
+ *   Changing `key`/`version` starts over from initialState (rehydrated → false);
+ *   other options are read once per key, so create `storage` outside render.
+ * - Storages share one tiny interface (getItem/setItem/removeItem, sync OR async):
+ *   localStorage, sessionStorage, IndexedDB, in-memory (tests, SSR, private mode).
+ * - Saved as `{ version, state }`. Older versions run through ordered migrations
+ *   (`{ 1: fn, 2: fn }`), then get merged over the NEW initial state → new fields get defaults.
+ * - Corrupted JSON / unknown format / newer version → reported, backed up under
+ *   `${key}:backup`, and the app starts from initial state instead of crashing.
+ */
+
+export const REHYDRATE = "@@persist/REHYDRATE";
+
+// Reducer enhancer for dispatch-based stores: merges restored state on REHYDRATE
+export const withRehydrate =
+  (reducer, merge = (state, restored) => ({ ...state, ...restored })) =>
+  (state, action) =>
+    action.type === REHYDRATE ? merge(state, action.payload) : reducer(state, action);
+
+export const createMemoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => void data.set(key, String(value)),
+    removeItem: (key) => void data.delete(key),
+  };
+};
+
+// "local" | "session" → falls back to memory when storage is missing or blocked
+export const createWebStorage = (type = "local") => {
+  try {
+    const storage = window[`${type}Storage`];
+    const probe = "__persist_probe__";
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch {
+    return createMemoryStorage(); // SSR, Safari private mode, storage disabled
+  }
+};
+
+// Async key-value store → bigger quota, doesn't block the main thread
+export const createIndexedDBStorage = ({ dbName = "app-state", storeName = "keyval" } = {}) => {
+  let dbPromise = null;
+  const open = () =>
+    (dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+
+  const run = (mode, operation) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const request = operation(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(request.result);
+          tx.onerror = tx.onabort = () => reject(tx.error);
+        })
+    );
+
+  return {
+    getItem: (key) => run("readonly", (store) => store.get(key)).then((value) => value ?? null),
+    setItem: (key, value) => run("readwrite", (store) => store.put(value, key)),
+    removeItem: (key) => run("readwrite", (store) => store.delete(key)),
+  };
+};
+
+// Top-level keys only (like redux-persist whitelist/blacklist)
+const pickKeys = (state, allow, deny) => {
+  if (!state || typeof state !== "object" || Array.isArray(state)) return state;
+  return Object.fromEntries(
+    Object.entries(state).filter(
+      ([key]) => (!allow || allow.includes(key)) && !(deny && deny.includes(key))
+    )
+  );
+};
+
+// migrate = { 1: v0→v1, 2: v1→v2 } (run in order) or (state, fromVersion, toVersion) => state
+const runMigrations = async (state, fromVersion, toVersion, migrate) => {
+  if (typeof migrate === "function") return migrate(state, fromVersion, toVersion);
+
+  const steps = Object.keys(migrate)
+    .map(Number)
+    .filter((v) => v > fromVersion && v <= toVersion)
+    .sort((a, b) => a - b);
+
+  let result = state;
+  for (const v of steps) result = await migrate[v](result);
+  return result;
+};
+
+export function persistStore(
+  store,
+  {
+    key,
+    version = 0,
+    migrate = {},
+    storage = createWebStorage("local"),
+    throttle = 100,
+    allow,
+    deny,
+    onError = (error) => console.error(`[persist:${key}]`, error),
+  } = {}
+) {
+  if (!key) throw new Error("persistStore: `key` is required");
+
+  const getState = store.getState || store.get;
+  const restore = store.set
+    ? (restored) => store.set((state) => ({ ...state, ...restored }))
+    : (restored) => store.dispatch({ type: REHYDRATE, key, payload: restored });
+
+  let ready = false; // never write before rehydrating → would overwrite saved data
+  let stopped = false;
+  let timer = null;
+  let lastWritten;
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!ready || stopped) return;
+
+    let raw;
+    try {
+      raw = JSON.stringify({ version, state: pickKeys(getState(), allow, deny) });
+    } catch (error) {
+      onError(error); // e.g. circular state
+      return;
+    }
+    if (raw === lastWritten) return;
+    lastWritten = raw;
+    Promise.resolve()
+      .then(() => storage.setItem(key, raw))
+      .catch(onError); // quota exceeded, IndexedDB blocked, ...
+  };
+
+  const schedule = () => {
+    if (ready && !stopped && timer === null) timer = setTimeout(write, throttle);
+  };
+
+  const rehydrated = (async () => {
+    let raw = null;
+    try {
+      raw = await storage.getItem(key);
+    } catch (error) {
+      onError(error);
+    }
+
+    if (raw != null && !stopped) {
+      try {
+        const saved = JSON.parse(raw);
+        if (!saved || typeof saved.version !== "number" || !("state" in saved)) {
+          throw new Error("Unrecognized persisted format");
+        }
+        if (saved.version > version) {
+          throw new Error(`Persisted version ${saved.version} is newer than ${version}`);
+        }
+        const migrated = await runMigrations(saved.state, saved.version, version, migrate);
+        if (!stopped) restore(pickKeys(migrated, allow, deny));
+      } catch (error) {
+        onError(error);
+        try {
+          await storage.setItem(`${key}:backup`, raw); // keep the user's data for support
+          await storage.removeItem(key);
+        } catch (storageError) {
+          onError(storageError);
+        }
+      }
+    }
+
+    ready = true;
+    write(); // store the migrated shape right away
+  })();
+
+  const unsubscribe = store.subscribe(schedule);
+  const onPageHide = () => write(); // don't lose the last throttled change
+  if (typeof window !== "undefined") window.addEventListener("pagehide", onPageHide);
+
+  return {
+    rehydrated,
+    flush: write,
+    async purge() {
+      clearTimeout(timer);
+      timer = null;
+      lastWritten = undefined;
+      await storage.removeItem(key);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe();
+      if (typeof window !== "undefined") window.removeEventListener("pagehide", onPageHide);
+    },
+  };
+}
+
+export const usePersistentReducer = (reducer, initialState, options = {}) => {
+  const { key, version } = options;
+  if (!key) throw new Error("usePersistentReducer: `options.key` is required (the storage key)");
+
+  const reducerRef = useRef(reducer);
+  const initialStateRef = useRef(initialState);
+  // Read when the persistor starts; only key/version restart it (inline `storage`,
+  // `migrate` or `allow` would otherwise restart it — and lose data — on every render)
+  const optionsRef = useRef(options);
+  useLayoutEffect(() => {
+    reducerRef.current = reducer;
+    initialStateRef.current = initialState;
+    optionsRef.current = options;
+  });
+
+  // A tiny store around the reducer so persistStore can subscribe to it
+  const [store] = useState(() => {
+    // Restored data lands on a fresh initial state, never on what was there before
+    const rehydratingReducer = withRehydrate(
+      (state, action) => reducerRef.current(state, action),
+      (state, restored) => ({ ...initialStateRef.current, ...restored })
+    );
+    const listeners = new Set();
+    let state = initialState;
+    const setState = (next) => {
+      if (Object.is(next, state)) return;
+      state = next;
+      listeners.forEach((listener) => listener());
+    };
+    return {
+      getState: () => state,
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      dispatch: (action) => {
+        setState(rehydratingReducer(state, action));
+        return action;
+      },
+      reset: () => setState(initialStateRef.current),
+    };
+  });
+
+  const state = useSyncExternalStore(store.subscribe, store.getState, store.getState);
+  // Which key/version finished rehydrating → a new key is "not rehydrated" right away
+  const [rehydratedFor, setRehydratedFor] = useState(null);
+  const rehydrated = rehydratedFor?.key === key && rehydratedFor?.version === version;
+  const persistorRef = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+    // New key/version → don't carry the previous record's state over (it would be
+    // written under the new key if nothing is saved there yet)
+    store.reset();
+    const persistor = persistStore(store, { ...optionsRef.current, key, version });
+    persistorRef.current = persistor;
+    persistor.rehydrated.then(() => active && setRehydratedFor({ key, version }));
+    return () => {
+      active = false;
+      persistor.flush(); // last changes go to the OLD key
+      persistor.stop();
+    };
+  }, [store, key, version]);
+
+  const controls = useMemo(
+    () => ({
+      flush: () => persistorRef.current?.flush(),
+      purge: () => persistorRef.current?.purge(),
+    }),
+    []
+  );
+
+  return [state, store.dispatch, { rehydrated, ...controls }];
+};
+
+// Usage 1: the counter from Example 2, now surviving reloads
+const PersistentCounter = () => {
+  const [state, dispatch] = usePersistentReducer(reducer, initialState, { key: "counter" });
+  return (
+    <div>
+      <h3>Persistent Counter: {state.count}</h3>
+      <button onClick={() => dispatch({ type: "increment" })}>Increment</button>
+      <button onClick={() => dispatch({ type: "reset" })}>Reset</button>
+    </div>
+  );
+};
+
+// Usage 2: a draft form whose shape changed twice since users started saving drafts
+//   v0: { name, email, password }
+//   v1: name → firstName + lastName
+//   v2: + newsletter
+const draftMigrations = {
+  1: ({ name = "", ...rest }) => {
+    const [firstName = "", ...lastName] = name.split(" ");
+    return { ...rest, firstName, lastName: lastName.join(" ") };
+  },
+  2: (draft) => ({ ...draft, newsletter: false }),
+};
+
+const draftReducer = (state, action) => ({ ...state, [action.field]: action.value });
+
+const draftStorage = createWebStorage("session"); // gone when the tab closes
+
+const SignupDraft = () => {
+  const [draft, dispatch, { rehydrated, purge }] = usePersistentReducer(
+    draftReducer,
+    { firstName: "", lastName: "", email: "", password: "", newsletter: false },
+    {
+      key: "signup-draft",
+      version: 2,
+      migrate: draftMigrations,
+      storage: draftStorage, // created once: an inline storage restarts persistence
+      throttle: 500,
+      deny: ["password"], // never persisted
+    }
+  );
+
+  if (!rehydrated) return <p>Loading draft...</p>;
+
+  const field = (name, type = "text") => (
+    <input
+      type={type}
+      value={draft[name]}
+      onChange={(e) => dispatch({ field: name, value: e.target.value })}
+    />
+  );
+
+  return (
+    <form onSubmit={(e) => (e.preventDefault(), purge())}>
+      {field("firstName")}
+      {field("lastName")}
+      {field("email", "email")}
+      {field("password", "password")}
+      <button type="submit">Sign up</button>
+    </form>
+  );
+};
+
+/*
+Other stores, same function:
+  persistStore(reduxStore, { key: "app", version: 3, allow: ["cart", "settings"] })
+    → reducer wrapped in withRehydrate(...)
+  persistStore(counterStore, { key: "counter", storage: createIndexedDBStorage() })
+    → { get, set, subscribe } stores are restored with set()
+  Tests: persistStore(store, { key: "t", storage: createMemoryStorage({ t: savedJson }) })
+*/
+
 /**
  * ===============================
  * When to Use Which?
@@ -99,6 +713,8 @@ const CounterWithUseReducer = () => {
  * 🚀 Rule of Thumb:
  * Start with useState.
  * If state grows complex → switch to useReducer.
+ * If reducers grow big → createSlice + useEnhancedReducer (still local, no Redux).
+ * If state must survive reloads → usePersistentReducer / persistStore (with a version!).
  */
 
 /**
@@ -124,4 +740,21 @@ const CounterWithUseReducer = () => {
  *
  * Q5: Example where useReducer is better than useState?
  * A5: Managing a shopping cart (add, remove, update quantity, reset).
+ *
+ * Q6: How can `state.items.push(...)` inside a reducer be immutable?
+ * A6: The reducer receives a draft (Proxy), not the real state. Writes are recorded on
+ *     copies, and a new state object is produced at the end; the old state is untouched.
+ *
+ * Q7: What is middleware, and can it work with useReducer?
+ * A7: A function that wraps dispatch (store => next => action). useReducer has none
+ *     built in, but wrapping its dispatch gives logging, thunks and async actions.
+ *
+ * Q8: Why store a version number with persisted state?
+ * A8: The state shape changes between releases. With a version, old saved data is run
+ *     through migrations (v0 → v1 → v2) instead of crashing or being silently dropped.
+ *
+ * Q9: What should happen when persisted JSON is corrupted?
+ * A9: Never crash on startup: report it, keep a backup copy, and fall back to the
+ *     initial state. Also wait to write until rehydration finished, or the initial
+ *     state overwrites what the user had saved.
  */
@@ -164,8 +164,191 @@ function UsersHook() {
   );
 }
 
+⚠️ Both versions above have the same hidden bugs:
+- No error state → a failed request shows "Loading..." forever.
+- No abort on unmount → the request keeps running and sets state on an unmounted component.
+- No race protection → if the URL changes quickly, an OLD slow response can overwrite a NEW one.
+- No retry and no way to reload.
+
+----------------------------------------------------
+5️⃣ Robust Fetching: useFetch (hooks) + withFetch (classes)
+----------------------------------------------------
+- State machine: "idle" → "loading" → "success" | "error" (one status, no boolean soup).
+- AbortController → request cancelled on unmount or when the URL changes.
+- Request id guard → only the LATEST request may update state.
+- Retries with exponential backoff (500ms, 1s, 2s...) for network errors and 5xx/408/429.
+  A body that isn't valid JSON is NOT retried (the same response would fail again).
+- Refetches when `url`, `enabled` or the request (method/body/headers) changes.
+  The request is compared as JSON → pass `requestKey` for FormData/stream bodies.
+- `refetch()` → run the request again manually.
+
+import { useCallback, useLayoutEffect, useReducer, useRef } from "react";
+
+class HttpError extends Error {
+  constructor(response) {
+    super(`Request failed with status ${response.status}`);
+    this.name = "HttpError";
+    this.status = response.status;
+  }
+}
+
+class ParseError extends Error {
+  constructor(cause) {
+    super(`Could not parse the response: ${cause.message}`);
+    this.name = "ParseError";
+    this.cause = cause;
+  }
+}
+
+// Network errors and server errors are worth retrying; 4xx (except 408/429) and bad bodies are not
+const isRetryable = (error) =>
+  !(error instanceof ParseError) &&
+  (!(error instanceof HttpError) || error.status >= 500 || [408, 429].includes(error.status));
+
+// setTimeout that stops early when the request is aborted
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+const fetchInitialState = { status: "idle", data: undefined, error: null };
+
+function fetchReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      return { ...state, status: "loading", error: null }; // keep old data while reloading
+    case "success":
+      return { status: "success", data: action.data, error: null };
+    case "failure":
+      return { ...state, status: "error", error: action.error };
+    default:
+      return state;
+  }
+}
+
+function useFetch(url, options = {}) {
+  const [state, dispatch] = useReducer(fetchReducer, fetchInitialState);
+  const [reloadKey, setReloadKey] = useState(0);
+  const latestRequest = useRef(0);
+
+  // Options are often inline objects → read the latest without re-running the effect…
+  const optionsRef = useRef(options);
+  useLayoutEffect(() => {
+    optionsRef.current = options;
+  });
+  // …but a different request (or enabling it) must refetch → compare it by value
+  const { enabled = true, method = "GET", body, headers } = options;
+  const requestKey = options.requestKey ?? JSON.stringify([method, body, headers]);
+
+  useEffect(() => {
+    if (!url || !enabled) return;
+
+    const {
+      retries = 3,
+      retryDelay = 500,
+      parse = (res) => res.json(),
+      enabled: _enabled,
+      requestKey: _requestKey,
+      ...fetchOptions
+    } = optionsRef.current;
+    const controller = new AbortController();
+    const requestId = ++latestRequest.current;
+    const isLatest = () => requestId === latestRequest.current && !controller.signal.aborted;
+
+    const run = async () => {
+      dispatch({ type: "start" });
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const res = await fetch(url, { ...fetchOptions, signal: controller.signal });
+          if (!res.ok) throw new HttpError(res);
+          const data = await parse(res).catch((error) => {
+            throw controller.signal.aborted ? error : new ParseError(error);
+          });
+          if (isLatest()) dispatch({ type: "success", data });
+          return;
+        } catch (error) {
+          if (!isLatest()) return; // aborted or outdated → stay silent
+          if (attempt >= retries || !isRetryable(error)) {
+            dispatch({ type: "failure", error });
+            return;
+          }
+          await sleep(retryDelay * 2 ** attempt, controller.signal).catch(() => {});
+          if (!isLatest()) return;
+        }
+      }
+    };
+
+    run();
+    return () => controller.abort(); // unmount or url change → cancel
+  }, [url, enabled, requestKey, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return {
+    ...state,
+    isLoading: state.status === "loading",
+    refetch,
+  };
+}
+
+function UsersHookRobust() {
+  const { status, data: users, error, refetch } = useFetch(
+    "https://jsonplaceholder.typicode.com/users",
+    { retries: 2 }
+  );
+
+  if (status === "idle" || (status === "loading" && !users)) return <p>Loading...</p>;
+  if (status === "error") {
+    return (
+      <div>
+        <p>Failed to load users: {error.message}</p>
+        <button onClick={refetch}>Retry</button>
+      </div>
+    );
+  }
+  return (
+    <ul>
+      {users.map((u) => (
+        <li key={u.id}>{u.name}</li>
+      ))}
+    </ul>
+  );
+}
+
+// ✅ Class components can't use hooks → wrap them in a HOC that does
+// url can be a string or a function of props: (props) => `/api/users/${props.id}`
+const withFetch = (url, options) => (WrappedComponent) => {
+  function WithFetch(props) {
+    const fetchState = useFetch(typeof url === "function" ? url(props) : url, options);
+    return <WrappedComponent {...props} fetchState={fetchState} />;
+  }
+  WithFetch.displayName = `withFetch(${WrappedComponent.displayName || WrappedComponent.name})`;
+  return WithFetch;
+};
+
+class UsersClassView extends React.Component {
+  render() {
+    const { status, data: users, error, refetch } = this.props.fetchState;
+    if (status === "error") return <button onClick={refetch}>Retry ({error.message})</button>;
+    if (!users) return <p>Loading...</p>;
+    return (
+      <ul>
+        {users.map((u) => (
+          <li key={u.id}>{u.name}</li>
+        ))}
+      </ul>
+    );
+  }
+}
+
+const UsersClassRobust = withFetch("https://jsonplaceholder.typicode.com/users")(UsersClassView);
+
 ----------------------------------------------------
-5️⃣ Side-by-Side Mapping Table
+6️⃣ Side-by-Side Mapping Table
 ----------------------------------------------------
 | Class Lifecycle Method       | Equivalent Hook / Pattern                 |
 |------------------------------|--------------------------------------------|
@@ -179,7 +362,7 @@ function UsersHook() {
 | componentWillUnmount         | return cleanup() inside useEffect         |
 
 ----------------------------------------------------
-6️⃣ Key Differences
+7️⃣ Key Differences
 ----------------------------------------------------
 - **Class Components** → verbose, multiple lifecycle methods, harder to reuse logic.
 - **Functional Components with Hooks** → concise, easier to share logic via custom hooks.
@@ -203,6 +386,13 @@ Q4: Which one should I prefer for new projects?
 Q5: Show a real-world difference between class vs hooks for API fetch.  
 👉 ✅ Added above: `UsersClass` (with `componentDidMount`) vs `UsersHook` (with `useEffect([])`).
 
+Q6: How do you avoid race conditions when fetching in useEffect?  
+👉 Abort the previous request in the effect cleanup (AbortController) and only let the
+   latest request update state (request id / "ignore" flag).
+
+Q7: How can a class component reuse hook-based logic like `useFetch`?  
+👉 Wrap it in a HOC (`withFetch`) that calls the hook and passes the result as props.
+
 ====================================================
 End of Notes 🚀
 ====================================================
@@ -15,7 +15,7 @@ This causes the UI to go "out of sync".
 */
 
 // ❌ Bad Example – Derived State
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useCallback } from "react";
 
 function UserName({ initialName }) {
   const [name, setName] = useState(initialName); // derived from props
@@ -74,6 +74,109 @@ function EditableName({ initialName }) {
   return <input value={name} onChange={(e) => setName(e.target.value)} />;
 }
 
+/*
+⚠️ Alternative 4 has its own problems:
+- It throws away the user's edits on EVERY prop change (even a background refresh).
+- It renders once with the stale value, then again after the effect (flicker).
+- Copy-pasted into every edit-in-place field.
+
+✅ Alternative 5: Reusable `useDerivedState(source, { resetOn, derive })`
+- `derive(source)` → the starting value for local state (default: source itself).
+- `resetOn: [record.id]` → when one of these changes, drop edits and re-derive.
+- Source changes for any other reason → keep the user's edits (if the field
+  is not dirty, it simply follows the new source).
+- Only the DERIVED value is compared (`isEqual`, default shallow) – never the identity
+  of `source` → an inline `source` (`useDerivedState({ first, last })`) is safe.
+  `derive` runs on every render, so keep it cheap.
+- Returns `[value, setValue, { isDirty, reset }]`.
+- Adjusts state DURING render (no effect) → no flicker with a stale value.
+*/
+
+const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+const haveChanged = (prevKeys, nextKeys) =>
+  prevKeys.length !== nextKeys.length || prevKeys.some((key, i) => !Object.is(key, nextKeys[i]));
+
+function useDerivedState(
+  source,
+  { resetOn = [], derive = (value) => value, isEqual = shallowEqual } = {}
+) {
+  const [state, setState] = useState(() => {
+    const base = derive(source);
+    return { resetOn, base, value: base, isDirty: false };
+  });
+
+  const base = derive(source);
+  let current = state;
+  if (haveChanged(state.resetOn, resetOn)) {
+    // e.g. a different record was selected → start fresh
+    current = { resetOn, base, value: base, isDirty: false };
+  } else if (!isEqual(state.base, base)) {
+    // same record, new data → keep edits, otherwise follow the source
+    const value = state.isDirty ? state.value : base;
+    current = { ...state, base, value, isDirty: !isEqual(value, base) };
+  }
+  if (current !== state) setState(current); // React re-renders right away, before painting
+
+  const setValue = useCallback(
+    (next) =>
+      setState((prev) => {
+        const value = typeof next === "function" ? next(prev.value) : next;
+        return { ...prev, value, isDirty: !isEqual(value, prev.base) };
+      }),
+    [isEqual]
+  );
+
+  const reset = useCallback(
+    () => setState((prev) => ({ ...prev, value: prev.base, isDirty: false })),
+    []
+  );
+
+  return [current.value, setValue, { isDirty: current.isDirty, reset }];
+}
+
+// Edit-in-place: reset when the record changes, keep edits on background refresh
+function EditableRecordName({ record, onSave }) {
+  const [name, setName, { isDirty, reset }] = useDerivedState(record, {
+    resetOn: [record.id],
+    derive: (r) => r.name,
+  });
+
+  return (
+    <div>
+      <input value={name} onChange={(e) => setName(e.target.value)} />
+      <button disabled={!isDirty} onClick={() => onSave({ ...record, name })}>
+        Save
+      </button>
+      <button disabled={!isDirty} onClick={reset}>
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+// Inline source: a new object every render is fine, only the derived string is compared
+function EditableFullName({ first, last }) {
+  const [fullName, setFullName] = useDerivedState(
+    { first, last },
+    { derive: (n) => `${n.first} ${n.last}` }
+  );
+
+  return <input value={fullName} onChange={(e) => setFullName(e.target.value)} />;
+}
+
+/*
+💡 Related trick: `<EditableName key={record.id} initialName={record.name} />`
+A new `key` remounts the component → fresh state. Simple, but it also resets
+everything else inside (focus, scroll, child state) and can't keep edits on refresh.
+*/
+
 /*----------------------------------------------------
 4️⃣ When Derived State is OK
 ----------------------------------------------------
@@ -86,6 +189,7 @@ function EditableName({ initialName }) {
 ----------------------------------------------------
 - ✅ Prefer props directly over copying them into state.  
 - ✅ If state is required, always sync it with useEffect.  
+- ✅ Better: decide WHEN it should reset (`resetOn`) and keep edits otherwise (`useDerivedState`).  
 - ✅ Avoid duplication unless absolutely necessary.  
 - ✅ Ask: "Can I calculate this from props instead of storing it?"
 
@@ -107,6 +211,10 @@ Q4: When is derived state acceptable?
 Q5: Which modern tool helps avoid derived state?  
 👉 useMemo for computed values, or just using props directly.
 
+Q6: How do you reset editable state when a record changes but keep edits otherwise?  
+👉 Track the "reset key" (e.g. record id). When it changes, re-derive the state; when only
+   the data refreshes, keep the user's edits (or the `key` prop trick to remount).
+
 ====================================================
 End of Notes 🚀
 ====================================================
@@ -105,10 +105,155 @@ Before React 18:
 - Updates are automatically batched for better performance.
 */
 
+/*
+----------------------------------------------------
+5️⃣ Measuring It: measureCommits (test harness)
+----------------------------------------------------
+"Batched into a single re-render" is a claim — let's MEASURE it in tests, so a
+React upgrade that changes batching is caught by CI.
+
+- `track(Component)` → same component, but its renders and commits are counted.
+- `measureCommits(ui, interaction, options)` → mounts `ui` in jsdom, runs the interaction
+  (clicks, timers, resolved promises) inside `act`, and returns a report:
+    {
+      mount:       { commits: 1, components: { CounterNew: { renders: 1, commits: 1 } } },
+      interaction: { commits: 1, components: { CounterNew: { renders: 1, commits: 1 } } },
+    }
+- renders vs commits: a render can be thrown away (StrictMode double render,
+  interrupted concurrent render); a commit is what actually reaches the DOM.
+- Works with real timers or Jest/Vitest fake timers. With fake timers, pass the
+  runner's clock: `{ advanceTimers: (ms) => jest.advanceTimersByTime(ms) }`
+  (`jest` is injected per test file, it is NOT on `globalThis`).
+*/
+import { Profiler, act } from "react";
+import { createRoot } from "react-dom/client";
+
+let session = null; // the measurement currently running
+
+const emptyCounts = () => ({ commits: 0, components: {} });
+
+const componentCounts = (name) => {
+  const counts = session.current.components;
+  if (!counts[name]) counts[name] = { renders: 0, commits: 0 };
+  return counts[name];
+};
+
+// Only for function components: it calls the component itself, so hooks stay the same
+export function track(Component, name = Component.displayName || Component.name) {
+  function Tracked(props) {
+    if (session) componentCounts(name).renders++;
+    return (
+      <Profiler id={name} onRender={() => session && componentCounts(name).commits++}>
+        {Component(props)}
+      </Profiler>
+    );
+  }
+  Tracked.displayName = `Tracked(${name})`;
+  return Tracked;
+}
+
+// Jest (modern) and Vitest fake timers both come from @sinonjs/fake-timers → `setTimeout.clock`
+const usingFakeTimers = () => setTimeout.clock !== undefined;
+
+export async function measureCommits(ui, interaction = async () => {}, { advanceTimers } = {}) {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true; // tell React we're in a test
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const root = createRoot(container);
+
+  const report = { mount: emptyCounts(), interaction: emptyCounts() };
+  session = { current: report.mount };
+
+  const onRootRender = () => {
+    session.current.commits++;
+  };
+
+  const findElement = (target) =>
+    typeof target !== "string"
+      ? target
+      : [...container.querySelectorAll("button, a, input, [role]")].find(
+          (el) => el.textContent.trim() === target
+        ) || container.querySelector(target);
+
+  const helpers = {
+    container,
+    click: async (target) => {
+      const el = findElement(target);
+      if (!el) throw new Error(`measureCommits: nothing to click for "${target}"`);
+      await act(async () => {
+        el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+      });
+    },
+    advanceTimers: async (ms) => {
+      await act(async () => {
+        if (advanceTimers) advanceTimers(ms);
+        else if (usingFakeTimers()) {
+          // Waiting on a fake setTimeout would never resolve
+          throw new Error(
+            "measureCommits: fake timers are on → pass { advanceTimers: (ms) => jest.advanceTimersByTime(ms) }"
+          );
+        } else await new Promise((resolve) => setTimeout(resolve, ms));
+      });
+    },
+    flushPromises: async () => {
+      // A few microtask turns → resolved promises (and their .then chains) settle
+      await act(async () => {
+        for (let i = 0; i < 10; i++) await Promise.resolve();
+      });
+    },
+  };
+
+  try {
+    await act(async () => {
+      root.render(
+        <Profiler id="measureCommits-root" onRender={onRootRender}>
+          {ui}
+        </Profiler>
+      );
+    });
+
+    session.current = report.interaction; // from now on, count the interaction only
+    await interaction(helpers);
+    return report;
+  } finally {
+    session = null;
+    await act(async () => root.unmount());
+    container.remove();
+  }
+}
+
+/*
+✅ Example test (Jest + jsdom):
+
+test("React 18 batches updates in events and timeouts", async () => {
+  jest.useFakeTimers();
+
+  const clickReport = await measureCommits(<TrackedCounterNew />, ({ click }) =>
+    click("Increment")
+  );
+  expect(clickReport.interaction.commits).toBe(1); // two setState → ONE commit
+  expect(clickReport.interaction.components.CounterNew.renders).toBe(1);
+
+  const timeoutReport = await measureCommits(
+    <TrackedCounterAsync />,
+    async (h) => {
+      await h.click("Increment Async");
+      await h.advanceTimers(1000);
+    },
+    { advanceTimers: (ms) => jest.advanceTimersByTime(ms) }
+  );
+  expect(timeoutReport.interaction.commits).toBe(1); // batched inside setTimeout too
+
+  // Before React 18 the setTimeout case reported 2 commits → this test would fail.
+});
+*/
+export const TrackedCounterNew = track(CounterNew);
+export const TrackedCounterAsync = track(CounterAsync);
+
 /*
 
 ----------------------------------------------------
-5️⃣ Key Points
+6️⃣ Key Points
 ----------------------------------------------------
 - React 18 introduces **automatic batching** for all updates.
 - State updates inside promises, timeouts, and events are **combined** into one render.
@@ -134,6 +279,10 @@ Q4: Does batching affect how the UI looks?
 Q5: How does concurrent mode help with async updates?  
 👉 It schedules multiple updates efficiently without blocking the main thread.
 
+Q6: How can you verify batching in a test?  
+👉 Count commits with React's `<Profiler>` (its onRender runs once per commit) while
+   running the interaction inside `act`, then assert on the numbers.
+
 ====================================================
 End of Notes 🚀
 ====================================================
@@ -0,0 +1,63 @@
+/**
+ * 🧪 Tests for measureCommits / track in 4Asynchronous-And-Batched-State-Updates-(React-18-Concurrent-Mode).js
+ * Runs with Jest + jsdom, once with real timers and once with Jest's fake timers.
+ *
+ * ▶️ Run (this repo has no package.json → install the runner ad hoc, `--no-save` writes no package.json):
+ *   npm i --no-save jest@29 jest-environment-jsdom@29 babel-jest@29 @babel/core @babel/preset-env @babel/preset-react react@19 react-dom@19
+ *   npx jest --config='{"testEnvironment":"jsdom","transform":{"\\.js$":["babel-jest",{"presets":["@babel/preset-env",["@babel/preset-react",{"runtime":"automatic"}]]}]}}' 3State-And-LifeCycles
+ */
+
+import React from "react";
+import {
+  measureCommits,
+  TrackedCounterAsync,
+  TrackedCounterNew,
+} from "./4Asynchronous-And-Batched-State-Updates-(React-18-Concurrent-Mode)";
+
+describe("measureCommits", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("two setState calls in a click → ONE commit", async () => {
+    const report = await measureCommits(<TrackedCounterNew />, ({ click }) => click("Increment"));
+
+    expect(report.mount.commits).toBe(1);
+    expect(report.interaction.commits).toBe(1);
+    expect(report.interaction.components.CounterNew.renders).toBe(1);
+  });
+
+  test("fake timers: updates inside setTimeout are batched too", async () => {
+    jest.useFakeTimers();
+
+    const report = await measureCommits(
+      <TrackedCounterAsync />,
+      async (h) => {
+        await h.click("Increment Async");
+        expect(h.container.textContent).toContain("Count: 0"); // timer hasn't fired yet
+        await h.advanceTimers(1000);
+      },
+      { advanceTimers: (ms) => jest.advanceTimersByTime(ms) }
+    );
+
+    expect(report.interaction.commits).toBe(1);
+    expect(report.interaction.components.CounterAsync.renders).toBe(1);
+  });
+
+  test("fake timers without advanceTimers → clear error instead of hanging", async () => {
+    jest.useFakeTimers();
+
+    await expect(
+      measureCommits(<TrackedCounterAsync />, (h) => h.advanceTimers(1000))
+    ).rejects.toThrow("fake timers are on");
+  });
+
+  test("real timers: advanceTimers just waits", async () => {
+    const report = await measureCommits(<TrackedCounterAsync />, async (h) => {
+      await h.click("Increment Async");
+      await h.advanceTimers(1050);
+    });
+
+    expect(report.interaction.commits).toBe(1);
+  });
+});
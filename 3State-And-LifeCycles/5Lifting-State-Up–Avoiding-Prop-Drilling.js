@@ -19,7 +19,7 @@ Example: Passing `count` and `setCount` through multiple layers.
 ----------------------------------------------------
 */
 
-import React, { useState } from "react";
+import React, { useState, useMemo, useSyncExternalStore } from "react";
 
 function GrandParent() {
   const [count, setCount] = useState(0);
@@ -81,6 +81,167 @@ function ChildControls({ setCount }) {
 - Easier to manage shared state.
 */
 
+/*  
+⚠️ But: `GrandParentLifted` owns `count`, so EVERY click re-renders GrandParentLifted
+AND all its children (even ChildControls, which never shows the count).
+
+----------------------------------------------------
+3️⃣.1 Lifting State OUT of React: a tiny external store
+----------------------------------------------------
+- `createStore(initial)` → { get, set, subscribe } living outside components.
+- `useStore(store, selector)` → subscribes via `useSyncExternalStore`; only components
+  whose selected value changed re-render. The parent doesn't re-render at all.
+- `computed(stores, fn)` → derived (read-only) store, recalculated only when inputs change.
+- `batch(fn)` → many `set` calls, ONE notification.
+- SSR-safe: the server snapshot is the initial state, so hydration matches the server HTML.
+*/
+
+let batchDepth = 0;
+const pendingStores = new Set();
+
+export function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0) {
+      const stores = [...pendingStores];
+      pendingStores.clear();
+      stores.forEach((store) => store.notify());
+    }
+  }
+}
+
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  const store = {
+    get: () => state,
+    getInitial: () => initialState, // what the server rendered with
+    set(next) {
+      const value = typeof next === "function" ? next(state) : next;
+      if (Object.is(value, state)) return;
+      state = value;
+      if (batchDepth > 0) pendingStores.add(store);
+      else store.notify();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    notify() {
+      listeners.forEach((listener) => listener());
+    },
+  };
+  return store;
+}
+
+// Derived store: computed(countStore, (s) => s.count * 2) or computed([a, b], (a, b) => a + b)
+export function computed(sources, compute) {
+  const deps = [].concat(sources);
+  const memo = (read) => {
+    let inputs = null;
+    let value;
+    return () => {
+      const next = deps.map(read);
+      if (!inputs || next.some((input, i) => !Object.is(input, inputs[i]))) {
+        inputs = next;
+        value = compute(...next);
+      }
+      return value;
+    };
+  };
+
+  const get = memo((dep) => dep.get());
+  const getInitial = memo((dep) => dep.getInitial());
+
+  return {
+    get,
+    getInitial,
+    subscribe(listener) {
+      let last = get();
+      const onChange = () => {
+        const next = get();
+        if (Object.is(next, last)) return; // inputs changed but the result didn't
+        last = next;
+        listener();
+      };
+      const unsubscribes = deps.map((dep) => dep.subscribe(onChange));
+      return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+    },
+  };
+}
+
+export function useStore(store, selector = (state) => state, isEqual = Object.is) {
+  // Same store state → same selection (useSyncExternalStore needs a stable snapshot)
+  const [getSnapshot, getServerSnapshot] = useMemo(() => {
+    const memoSelect = (read) => {
+      let hasMemo = false;
+      let memoState;
+      let memoSelection;
+      return () => {
+        const state = read();
+        if (hasMemo && Object.is(memoState, state)) return memoSelection;
+        const selection = selector(state);
+        if (!hasMemo || !isEqual(memoSelection, selection)) memoSelection = selection;
+        hasMemo = true;
+        memoState = state;
+        return memoSelection;
+      };
+    };
+    return [memoSelect(store.get), memoSelect(store.getInitial)];
+  }, [store, selector, isEqual]);
+
+  return useSyncExternalStore(store.subscribe, getSnapshot, getServerSnapshot);
+}
+
+// Usage → same UI as GrandParentLifted, but the parent never re-renders
+const counterStore = createStore({ count: 0, step: 1 });
+const doubledStore = computed(counterStore, (state) => state.count * 2);
+
+const selectCount = (state) => state.count;
+
+function GrandParentWithStore() {
+  console.log("GrandParentWithStore render"); // ✅ only on mount
+  return (
+    <div>
+      <ChildDisplayFromStore />
+      <ChildControlsFromStore />
+    </div>
+  );
+}
+
+function ChildDisplayFromStore() {
+  const count = useStore(counterStore, selectCount);
+  const doubled = useStore(doubledStore);
+  return (
+    <p>
+      Count: {count} (doubled: {doubled})
+    </p>
+  );
+}
+
+function ChildControlsFromStore() {
+  // Doesn't read state → never re-renders on count changes
+  const increment = () => counterStore.set((s) => ({ ...s, count: s.count + s.step }));
+
+  const incrementTwiceAndSetStep = () =>
+    batch(() => {
+      increment();
+      increment();
+      counterStore.set((s) => ({ ...s, step: 2 }));
+    }); // ✅ subscribers notified once
+
+  return (
+    <div>
+      <button onClick={increment}>Increment</button>
+      <button onClick={incrementTwiceAndSetStep}>+2 and step = 2</button>
+    </div>
+  );
+}
+
 /*  
 ----------------------------------------------------
 4️⃣ When to Lift State
@@ -99,6 +260,7 @@ function ChildControls({ setCount }) {
 - Context API → share state globally without drilling.  
 - State management libraries → Redux, Zustand, Jotai, Recoil.  
 - Event emitters / custom hooks → for specific communication.  
+- A tiny external store + `useSyncExternalStore` (section 3️⃣.1) → shared state without a parent owner.  
 */
 
 /*  
@@ -120,6 +282,14 @@ Q4: When should you lift state up?
 Q5: What are alternatives to lifting state up?  
 👉 Context API or state management libraries for larger/global state.
 
+Q6: Why does an external store avoid re-rendering the parent?  
+👉 The state lives outside React. Only components that subscribe (useSyncExternalStore)
+   and whose selected value changed re-render; the parent just renders the children once.
+
+Q7: What is `getServerSnapshot` for?  
+👉 During SSR and hydration React uses it instead of the live state, so the first client
+   render matches the server HTML (no hydration mismatch).
+
 ====================================================
 End of Notes 🚀
 ====================================================
@@ -16,7 +16,8 @@
 Example:
 */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef } from "react";
+import { useUndoableReducer } from "../4React-Hooks-(DeepDive)/3UseReducer-Vs-UseState–Scalability";
 
 function TimerStale() {
   const [count, setCount] = useState(0);
@@ -81,6 +82,192 @@ function TimerWithRef() {
   return <p>Count: {count}</p>;
 }
 
+/*  
+⚠️ All three timers above still have problems in real apps:
+- Changing the callback means tearing down & restarting the interval (or reading refs by hand).
+- `setInterval` drifts: each tick can fire a few ms late, and the error adds up
+  (a 30-minute session countdown can be off by seconds; background tabs are throttled even more).
+- They keep running in hidden tabs (wasted polling) and can't be paused, resumed or reset.
+
+----------------------------------------------------
+3️⃣.1 Reusable Fix: useInterval & useTimeout
+----------------------------------------------------
+- `useInterval(callback, delay, { immediate, paused, pauseWhenHidden })`
+- `useTimeout(callback, delay, { paused, pauseWhenHidden })`
+- Always calls the LATEST callback (stored in a ref) → no stale closures, no restarts.
+- Drift correction: every tick is scheduled against the expected time (`start + n * delay`),
+  not "now + delay". If ticks were missed, the callback receives how many (`ticks`).
+- Pauses while `document.hidden` (opt out with `pauseWhenHidden: false`) and resumes with
+  the remaining time, not a full delay.
+- `delay = null` stops the timer. Both return `{ pause, resume, reset, isPaused }`
+  (useTimeout also has `clear` and `isPending`).
+*/
+
+const isDocumentHidden = () =>
+  typeof document !== "undefined" && document.visibilityState === "hidden";
+
+function useTimer(
+  callback,
+  delay,
+  { repeat, immediate = false, paused = false, pauseWhenHidden = true }
+) {
+  const callbackRef = useRef(callback);
+  useLayoutEffect(() => {
+    callbackRef.current = callback; // latest callback, timer keeps running
+  });
+
+  const [manuallyPaused, setManuallyPaused] = useState(false);
+  const [hidden, setHidden] = useState(isDocumentHidden);
+  const [run, setRun] = useState({ id: 0, done: false }); // id changes on reset
+  const leftoverRef = useRef(null); // time remaining when we were paused
+
+  const running =
+    delay != null &&
+    !run.done &&
+    !paused &&
+    !manuallyPaused &&
+    !(pauseWhenHidden && hidden);
+
+  useEffect(() => {
+    if (!pauseWhenHidden || typeof document === "undefined") return;
+    const onVisibilityChange = () => setHidden(isDocumentHidden());
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () =>
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+  }, [pauseWhenHidden]);
+
+  useEffect(() => {
+    if (!running) return;
+
+    const step = Math.max(1, delay);
+    const leftover = leftoverRef.current;
+    const resumed =
+      leftover && leftover.runId === run.id && leftover.delay === delay;
+    leftoverRef.current = null;
+
+    if (repeat && immediate && !resumed) callbackRef.current(1);
+
+    let expected = Date.now() + (resumed ? leftover.remaining : delay);
+    let timer;
+
+    const tick = () => {
+      if (!repeat) {
+        setRun((current) => ({ ...current, done: true }));
+        callbackRef.current();
+        return;
+      }
+      // How many periods have passed since the tick we expected? (usually 1)
+      const ticks = 1 + Math.max(0, Math.floor((Date.now() - expected) / step));
+      expected += ticks * step;
+      callbackRef.current(ticks);
+      timer = setTimeout(tick, Math.max(0, expected - Date.now()));
+    };
+
+    timer = setTimeout(tick, Math.max(0, expected - Date.now()));
+
+    return () => {
+      clearTimeout(timer);
+      leftoverRef.current = {
+        runId: run.id,
+        delay,
+        remaining: Math.max(0, expected - Date.now()),
+      };
+    };
+  }, [running, delay, run.id, repeat, immediate]);
+
+  return useMemo(
+    () => ({
+      pause: () => setManuallyPaused(true),
+      resume: () => setManuallyPaused(false),
+      reset: () => setRun((current) => ({ id: current.id + 1, done: false })),
+      clear: () => setRun((current) => ({ ...current, done: true })),
+      isPaused: !running,
+      isPending: !run.done,
+    }),
+    [running, run.done]
+  );
+}
+
+export function useInterval(callback, delay, options = {}) {
+  const { pause, resume, reset, isPaused } = useTimer(callback, delay, {
+    ...options,
+    repeat: true,
+  });
+  return { pause, resume, reset, isPaused };
+}
+
+export function useTimeout(callback, delay, options = {}) {
+  return useTimer(callback, delay, { ...options, immediate: false, repeat: false });
+}
+
+// Usage 1 → TimerFixed without the hand-written effect
+function TimerWithInterval() {
+  const [count, setCount] = useState(0);
+  const { pause, resume, reset, isPaused } = useInterval(
+    () => setCount(count + 1), // ✅ reading state directly is fine: latest callback runs
+    1000
+  );
+
+  return (
+    <div>
+      <p>Count: {count}</p>
+      <button onClick={isPaused ? resume : pause}>
+        {isPaused ? "Resume" : "Pause"}
+      </button>
+      <button
+        onClick={() => {
+          reset();
+          setCount(0);
+        }}
+      >
+        Reset
+      </button>
+    </div>
+  );
+}
+
+// Usage 2 → session countdown: keeps counting in background tabs, stays accurate
+function SessionCountdown({ seconds = 1800, onExpire }) {
+  const [left, setLeft] = useState(seconds);
+  const countdown = useInterval(
+    (ticks) => setLeft((prev) => Math.max(0, prev - ticks)), // ✅ catches up missed ticks
+    left > 0 ? 1000 : null, // null → stop
+    { pauseWhenHidden: false }
+  );
+  const expiry = useTimeout(onExpire, seconds * 1000, { pauseWhenHidden: false });
+
+  return (
+    <p>
+      Session expires in {Math.floor(left / 60)}:
+      {String(left % 60).padStart(2, "0")}
+      <button
+        onClick={() => {
+          countdown.reset();
+          expiry.reset(); // ✅ restart the real expiry too, not just the display
+          setLeft(seconds);
+        }}
+      >
+        Stay signed in
+      </button>
+    </p>
+  );
+}
+
+// Usage 3 → poller: fetch now, then every 10s, only while the tab is visible
+function NotificationsPoller({ userId }) {
+  const [items, setItems] = useState([]);
+  useInterval(
+    () =>
+      fetch(`/api/users/${userId}/notifications`)
+        .then((res) => res.json())
+        .then(setItems),
+    10000,
+    { immediate: true }
+  );
+
+  return <p>{items.length} notifications</p>;
+}
+
 /*  
 ----------------------------------------------------
 4️⃣ State Splits Problem
@@ -158,12 +345,48 @@ function ProfileWithReducer() {
   );
 }
 
+/*  
+Bonus: because every change is an action, the same reducer gets undo/redo for free
+(`useUndoableReducer` → 4React-Hooks-(DeepDive)/3UseReducer-Vs-UseState–Scalability.js).
+*/
+const profileReducer = (state, action) => {
+  switch (action.type) {
+    case "updateCity":
+      return { ...state, city: action.payload };
+    default:
+      return state;
+  }
+};
+
+function ProfileWithUndo() {
+  const [profile, dispatch, { undo, canUndo }] = useUndoableReducer(profileReducer, {
+    name: "Alice",
+    age: 25,
+    city: "Delhi",
+  });
+
+  return (
+    <div>
+      <p>
+        {profile.name}, {profile.age}, {profile.city}
+      </p>
+      <button onClick={() => dispatch({ type: "updateCity", payload: "Mumbai" })}>
+        Move to Mumbai
+      </button>
+      <button onClick={undo} disabled={!canUndo}>
+        Undo
+      </button>
+    </div>
+  );
+}
+
 /*  
 ----------------------------------------------------
 6️⃣ Key Rules to Avoid Stale Closures & State Splits
 ----------------------------------------------------
 - ✅ Use functional updates (`setState(prev => ...)`) when state depends on the previous value.
 - ✅ Use `useRef` for stable values across renders without re-subscribing.
+- ✅ Use `useInterval` / `useTimeout` instead of hand-rolled `setInterval` effects.
 - ✅ Group related state into objects or reducers.
 - ❌ Avoid splitting related data into too many `useState`s.
 - ❌ Don’t rely on direct state inside async callbacks without functional updates.
@@ -186,6 +409,15 @@ Q4: How to avoid state splits?
 Q5: When should I use multiple useState instead of one object?  
 👉 When states are independent and don’t need to update together.
 
+Q6: Why does `setInterval` drift, and how does `useInterval` fix it?  
+👉 Each tick can run late and the next one is scheduled relative to that late time,
+   so errors add up. `useInterval` schedules against the expected time (`start + n * delay`)
+   and reports missed ticks, so a countdown stays accurate.
+
+Q7: How can a timer call the latest callback without being restarted?  
+👉 Store the callback in a ref updated on every render; the timer calls `ref.current()`.
+   The effect only depends on `delay`, so new callbacks don't reset the interval.
+
 ====================================================
 End of Notes 🚀
 ====================================================
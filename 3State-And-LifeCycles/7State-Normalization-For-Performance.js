@@ -99,8 +99,317 @@ function BlogGood() {
 - Easier to implement **selectors** (like in Redux).  
 - Helps when dealing with large lists (users, products, posts).  
 
+⚠️ But `BlogGood` was normalized BY HAND. Real API responses look like `BlogBad`
+(nested, duplicated, sometimes circular) → let's flatten them automatically.
+
 ----------------------------------------------------
-5️⃣ Tools for Normalizing State
+5️⃣ Schema-Driven normalize / denormalize + Entity Adapters
+----------------------------------------------------
+- `new Entity(key, definition, { idAttribute })` describes one "table".
+  Definitions nest: an Entity, `[Entity]` for arrays, or a plain object of schemas.
+- `entity.define({...})` adds fields later → needed for circular schemas (user ↔ post).
+- `normalize(apiResponse, schema)` → `{ result, entities }` (same entity seen twice is merged).
+- `denormalize(id, schema, entities)` → rebuilds the nested object (cycles become real cycles).
+- `createEntityAdapter()` → `{ ids, entities }` state + reducers
+  (`addOne/addMany/upsertOne/upsertMany/updateOne/removeOne/removeAll`) + memoized selectors.
+*/
+
+class Entity {
+  constructor(key, definition = {}, { idAttribute = "id" } = {}) {
+    this.key = key;
+    this.schema = { ...definition };
+    this.idAttribute = idAttribute;
+  }
+
+  define(definition) {
+    Object.assign(this.schema, definition);
+    return this;
+  }
+
+  getId(input) {
+    return typeof this.idAttribute === "function"
+      ? this.idAttribute(input)
+      : input[this.idAttribute];
+  }
+}
+
+function normalize(input, schema) {
+  const entities = {};
+  const visited = new Map(); // input object → id (stops infinite loops on circular data)
+
+  const visit = (value, schema) => {
+    if (value == null) return value;
+
+    if (Array.isArray(schema)) {
+      return value.map((item) => visit(item, schema[0]));
+    }
+
+    if (schema instanceof Entity) {
+      if (typeof value !== "object") return value; // already an id
+      const id = schema.getId(value);
+      if (visited.has(value)) return visited.get(value);
+      visited.set(value, id);
+
+      const flat = { ...value };
+      Object.keys(schema.schema).forEach((field) => {
+        if (flat[field] !== undefined) flat[field] = visit(flat[field], schema.schema[field]);
+      });
+
+      const table = (entities[schema.key] = entities[schema.key] || {});
+      table[id] = { ...table[id], ...flat }; // same entity twice → merge
+      return id;
+    }
+
+    // Plain object schema: { blog: blogSchema, authors: [userSchema] }
+    const result = { ...value };
+    Object.keys(schema).forEach((field) => {
+      if (result[field] !== undefined) result[field] = visit(result[field], schema[field]);
+    });
+    return result;
+  };
+
+  return { result: visit(input, schema), entities };
+}
+
+function denormalize(input, schema, entities) {
+  const built = new Map(); // "key:id" → object (lets circular references resolve)
+
+  const unvisit = (value, schema) => {
+    if (value == null) return value;
+
+    if (Array.isArray(schema)) {
+      return value.map((item) => unvisit(item, schema[0]));
+    }
+
+    if (schema instanceof Entity) {
+      const cacheKey = `${schema.key}:${value}`;
+      if (built.has(cacheKey)) return built.get(cacheKey);
+
+      const entity = entities[schema.key] && entities[schema.key][value];
+      if (entity === undefined) return undefined;
+
+      const result = { ...entity };
+      built.set(cacheKey, result); // register BEFORE recursing
+      Object.keys(schema.schema).forEach((field) => {
+        if (result[field] !== undefined) result[field] = unvisit(result[field], schema.schema[field]);
+      });
+      return result;
+    }
+
+    const result = { ...value };
+    Object.keys(schema).forEach((field) => {
+      if (result[field] !== undefined) result[field] = unvisit(result[field], schema[field]);
+    });
+    return result;
+  };
+
+  return unvisit(input, schema);
+}
+
+// Memoized selector: recomputes only when an input selector returns something new
+function createSelector(...funcs) {
+  const compute = funcs.pop();
+  let lastInputs = null;
+  let lastResult;
+
+  return (...args) => {
+    const inputs = funcs.map((fn) => fn(...args));
+    if (lastInputs && inputs.every((input, i) => Object.is(input, lastInputs[i]))) {
+      return lastResult;
+    }
+    lastInputs = inputs;
+    lastResult = compute(...inputs);
+    return lastResult;
+  };
+}
+
+function createEntityAdapter({ selectId = (entity) => entity.id, sortComparer } = {}) {
+  // Reducers accept either the payload or a whole `{ type, payload }` action
+  const payloadOf = (arg) =>
+    arg && typeof arg === "object" && "type" in arg && "payload" in arg ? arg.payload : arg;
+
+  const commit = (state, entities, ids) => {
+    const nextIds = sortComparer
+      ? [...ids].sort((a, b) => sortComparer(entities[a], entities[b]))
+      : ids;
+    return { ...state, ids: nextIds, entities };
+  };
+
+  const addMany = (state, arg) => {
+    const items = payloadOf(arg);
+    const list = Array.isArray(items) ? items : Object.values(items);
+    const fresh = list.filter((item) => !(selectId(item) in state.entities));
+    if (fresh.length === 0) return state;
+
+    const entities = { ...state.entities };
+    fresh.forEach((item) => (entities[selectId(item)] = item));
+    return commit(state, entities, [...state.ids, ...fresh.map(selectId)]);
+  };
+
+  const upsertMany = (state, arg) => {
+    const items = payloadOf(arg);
+    const list = Array.isArray(items) ? items : Object.values(items);
+    if (list.length === 0) return state;
+
+    const entities = { ...state.entities };
+    const ids = [...state.ids];
+    list.forEach((item) => {
+      const id = selectId(item);
+      if (id in entities) entities[id] = { ...entities[id], ...item };
+      else {
+        entities[id] = item;
+        ids.push(id);
+      }
+    });
+    return commit(state, entities, ids);
+  };
+
+  const updateOne = (state, arg) => {
+    const { id, changes } = payloadOf(arg);
+    if (!(id in state.entities)) return state;
+    const entities = { ...state.entities, [id]: { ...state.entities[id], ...changes } };
+    return commit(state, entities, state.ids);
+  };
+
+  const removeMany = (state, arg) => {
+    const ids = payloadOf(arg).filter((id) => id in state.entities);
+    if (ids.length === 0) return state;
+
+    const entities = { ...state.entities };
+    ids.forEach((id) => delete entities[id]);
+    return { ...state, ids: state.ids.filter((id) => id in entities), entities };
+  };
+
+  const getSelectors = (selectState = (state) => state) => {
+    const selectIds = (state) => selectState(state).ids;
+    const selectEntities = (state) => selectState(state).entities;
+    return {
+      selectIds,
+      selectEntities,
+      selectAll: createSelector(selectIds, selectEntities, (ids, entities) =>
+        ids.map((id) => entities[id])
+      ), // same array until ids/entities change → cheap memo/re-render checks
+      selectTotal: (state) => selectIds(state).length,
+      selectById: (state, id) => selectEntities(state)[id],
+    };
+  };
+
+  return {
+    selectId,
+    getInitialState: (extra = {}) => ({ ids: [], entities: {}, ...extra }),
+    addOne: (state, arg) => addMany(state, [payloadOf(arg)]),
+    addMany,
+    upsertOne: (state, arg) => upsertMany(state, [payloadOf(arg)]),
+    upsertMany,
+    updateOne,
+    removeOne: (state, arg) => removeMany(state, [payloadOf(arg)]),
+    removeMany,
+    removeAll: (state) => ({ ...state, ids: [], entities: {} }),
+    getSelectors,
+  };
+}
+
+// Schemas for the BlogBad response (user ↔ post is circular)
+const userSchema = new Entity("user");
+const commentSchema = new Entity("comment", { user: userSchema });
+const blogSchema = new Entity("blog", { comments: [commentSchema], author: userSchema });
+userSchema.define({ posts: [blogSchema] });
+
+/*
+const alice = { id: 1, name: "Alice" };
+const apiBlog = { id: 1, title: "React Performance", author: alice, comments: [...] };
+alice.posts = [apiBlog]; // ♻️ circular
+
+normalize(apiBlog, blogSchema) →
+{
+  result: 1,
+  entities: {
+    user:    { 1: { id: 1, name: "Alice", posts: [1] }, 2: { id: 2, name: "Bob" } },
+    comment: { 101: { id: 101, text: "Great post!", user: 1 }, ... },
+    blog:    { 1: { id: 1, title: "React Performance", author: 1, comments: [101, 102, 103] } },
+  },
+}
+*/
+
+const usersAdapter = createEntityAdapter();
+const commentsAdapter = createEntityAdapter();
+
+const userSelectors = usersAdapter.getSelectors((state) => state.users);
+const commentSelectors = commentsAdapter.getSelectors((state) => state.comments);
+
+// Memoized "view" selector built from adapter selectors
+const selectCommentsWithAuthors = createSelector(
+  commentSelectors.selectAll,
+  userSelectors.selectEntities,
+  (comments, users) => comments.map((c) => ({ ...c, author: users[c.user] }))
+);
+
+function blogReducer(state, action) {
+  switch (action.type) {
+    case "blog/loaded": {
+      const { result, entities } = normalize(action.payload, blogSchema);
+      return {
+        blog: entities.blog[result],
+        users: usersAdapter.upsertMany(state.users, entities.user || {}),
+        comments: commentsAdapter.upsertMany(state.comments, entities.comment || {}),
+      };
+    }
+    case "user/renamed":
+      return { ...state, users: usersAdapter.updateOne(state.users, action) };
+    case "comment/removed":
+      return { ...state, comments: commentsAdapter.removeOne(state.comments, action) };
+    default:
+      return state;
+  }
+}
+
+function BlogNormalized({ apiBlog }) {
+  const [state, dispatch] = React.useReducer(blogReducer, {
+    blog: null,
+    users: usersAdapter.getInitialState(),
+    comments: commentsAdapter.getInitialState(),
+  });
+
+  React.useEffect(() => {
+    dispatch({ type: "blog/loaded", payload: apiBlog }); // nested response in, flat state out
+  }, [apiBlog]);
+
+  if (!state.blog) return null;
+
+  return (
+    <div>
+      <h2>{state.blog.title}</h2>
+      <ul>
+        {selectCommentsWithAuthors(state).map((comment) => (
+          <li key={comment.id}>
+            {comment.text} – {comment.author.name}
+            <button
+              onClick={() => dispatch({ type: "comment/removed", payload: comment.id })}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        onClick={() =>
+          dispatch({ type: "user/renamed", payload: { id: 1, changes: { name: "Alicia" } } })
+        }
+      >
+        Rename Alice (updates every comment)
+      </button>
+    </div>
+  );
+}
+
+/*
+Need the nested shape back (e.g. to send to an API or an old component)?
+  denormalize(state.blog.id, blogSchema, { blog: { [state.blog.id]: state.blog },
+                                            user: state.users.entities,
+                                            comment: state.comments.entities })
+
+----------------------------------------------------
+6️⃣ Tools for Normalizing State
 ----------------------------------------------------
 - **Manual normalization** (using objects by IDs).  
 - **Redux Toolkit** → has `createEntityAdapter` for normalized slices.  
@@ -124,6 +433,14 @@ Q4: Where is normalization most useful?
 Q5: Which React/Redux tools help normalization?  
 👉 Redux Toolkit’s `createEntityAdapter` and Normalizr library.
 
+Q6: How does `normalize` handle circular references (user → posts → author → user)?  
+👉 It remembers every input object it has already visited and returns its id instead of
+   recursing again. `denormalize` caches built objects by "key:id", so cycles are rebuilt.
+
+Q7: Why are adapter selectors memoized?  
+👉 `selectAll` builds a new array; memoizing on `ids`/`entities` returns the SAME array until
+   they change, so `React.memo`, `useMemo` and `useSelector` don't see false changes.
+
 ====================================================
 End of Notes 🚀
 ====================================================
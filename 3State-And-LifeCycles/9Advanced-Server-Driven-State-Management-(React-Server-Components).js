@@ -43,7 +43,11 @@ async function ServerProductList() {
   return (
     <ul>
       {products.map((p) => (
-        <li key={p.id}>{p.name}</li>
+        <li key={p.id}>
+          {p.name}
+          {/* client reference → serialized as a module id, hydrated in the browser */}
+          <AddToCartButtonRef productId={p.id} />
+        </li>
       ))}
     </ul>
   );
@@ -92,3 +96,472 @@ function ProductPage({ product }) {
 - Good for: data-heavy apps, dashboards, e-commerce.
 - Use with Next.js 13+ App Router for production-ready setup.
 */
+
+/*
+---
+
+📌 Under the Hood: A Minimal Server-Driven UI Protocol
+- Real RSC needs a bundler + framework. The core idea fits in a few functions:
+
+  🖥️ Server                                   🌐 Client
+  <ServerProductPage />                          registry: module id → component
+      │ renderToWireStream()                          ▲
+      ▼                                               │ createFromWireStream()
+  NDJSON rows ── HTTP stream (Express) ──────────► rebuild React tree
+                                                 + hydrate client components
+
+Wire format (one JSON row per line):
+  {"type":"module","id":"M1","module":"components/AddToCartButton.js#default"}
+  {"type":"model","id":0,"value":{"$el":"div","props":{"children":[..., {"$lazy":1}]}}}
+  {"type":"model","id":1,"value":{"$el":"ul","props":{"children":[...]}}}   ← streamed later
+  {"type":"error","id":2,"message":"...","digest":"k3x9q"}                  ← failed async part
+
+Value encoding:
+  {"$el":"li","key":"1","props":{...}}            → host element (children in props)
+  {"$el":"$client","ref":"M1","props":{...}}      → client component (props must be JSON)
+  {"$lazy":1}                                     → async server component, arrives in row 1
+
+- Async server components don't block the stream: the shell goes out first,
+  each async part is sent as its own row when its data is ready (Suspense on the client).
+- Server components never reach the client as code – only their OUTPUT does.
+- Error rows carry a generic message + a digest; the real error is logged on the server
+  under the same digest (messages can contain SQL, paths, internal ids…).
+*/
+
+import React, { Component, Suspense, lazy } from "react";
+
+// ---------- Shared: client references & registry ----------
+
+const CLIENT_REFERENCE = Symbol.for("sdui.client.reference");
+
+// Used on the server in place of the real client component (server never imports its code).
+// A function component, so React accepts it as an element type; rendering it anywhere
+// but through the wire renderer gives a clear error instead of "Element type is invalid".
+function createClientReference(moduleId, displayName = moduleId) {
+  const reference = () => {
+    throw new Error(
+      `<${displayName}> is a client component (module "${moduleId}"). ` +
+        "It can only be rendered on the client."
+    );
+  };
+  reference.displayName = displayName;
+  reference.moduleId = moduleId;
+  reference.$$typeof = CLIENT_REFERENCE;
+  return reference;
+}
+
+const isClientReference = (type) =>
+  typeof type === "function" && type.$$typeof === CLIENT_REFERENCE;
+
+// Client side: module id → component (or `() => import(...)` for code splitting)
+function createClientRegistry() {
+  const entries = new Map();
+  return {
+    register(moduleId, componentOrLoader, { lazy: isLoader = false } = {}) {
+      entries.set(moduleId, { load: isLoader ? componentOrLoader : () => componentOrLoader });
+    },
+    async load(moduleId) {
+      const entry = entries.get(moduleId);
+      if (!entry) throw new Error(`Client component "${moduleId}" is not registered`);
+      const loaded = await entry.load();
+      return loaded && loaded.default ? loaded.default : loaded;
+    },
+  };
+}
+
+const ADD_TO_CART_MODULE = "components/AddToCartButton.js#default";
+const AddToCartButtonRef = createClientReference(ADD_TO_CART_MODULE, "AddToCartButton");
+
+const clientRegistry = createClientRegistry();
+clientRegistry.register(ADD_TO_CART_MODULE, AddToCartButton);
+
+// ---------- 🖥️ Server: in-memory db ----------
+
+function createInMemoryDb(tables, { latency = 50 } = {}) {
+  const wait = () => new Promise((resolve) => setTimeout(resolve, latency));
+  return {
+    // Supports: SELECT * FROM table [WHERE column = ?]
+    async query(sql, params = []) {
+      const match = /^SELECT \* FROM (\w+)(?: WHERE (\w+) = \?)?$/i.exec(sql.trim());
+      if (!match) throw new Error(`Unsupported query: ${sql}`);
+      const [, table, column] = match;
+      if (!tables[table]) throw new Error(`Unknown table: ${table}`);
+      await wait();
+      const rows = column
+        ? tables[table].filter((row) => row[column] === params[0])
+        : tables[table];
+      return rows.map((row) => ({ ...row })); // callers can't mutate the "db"
+    },
+  };
+}
+
+const db = createInMemoryDb({
+  products: [
+    { id: 1, name: "Keyboard", price: 49 },
+    { id: 2, name: "Mouse", price: 19 },
+    { id: 3, name: "Monitor", price: 199 },
+  ],
+});
+
+// ---------- 🖥️ Server: renderer → wire rows ----------
+
+// Never send `error.message` to the browser → generic message + digest, details stay here
+const SERVER_ERROR_MESSAGE = "An error occurred in the Server Components render.";
+
+const errorDigest = (error) => {
+  const text = String((error && error.stack) || error);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = (hash * 33) ^ text.charCodeAt(i);
+  return (hash >>> 0).toString(36);
+};
+
+const logServerError = (error, digest) => console.error(`[rsc] error ${digest}:`, error);
+
+function renderToWireStream(element, { onError = logServerError } = {}) {
+  const rows = [];
+  const moduleRowIds = new Map(); // module id → "M1"
+  let nextId = 1;
+  let pending = 0;
+  let wake = null;
+
+  const emit = (row) => {
+    rows.push(JSON.stringify(row) + "\n");
+    if (wake) wake();
+  };
+
+  const emitError = (id, error) => {
+    const digest = errorDigest(error);
+    onError(error, digest);
+    emit({ type: "error", id, message: SERVER_ERROR_MESSAGE, digest });
+  };
+
+  const encodeProps = (props, owner) => {
+    const encoded = {};
+    Object.keys(props).forEach((name) => {
+      if (typeof props[name] === "function") {
+        throw new Error(
+          `Functions cannot be sent to the client (prop "${name}" of <${owner}>). ` +
+            `Move the handler into a client component.`
+        );
+      }
+      encoded[name] = encode(props[name]);
+    });
+    return encoded;
+  };
+
+  const encode = (node) => {
+    if (node === null || node === undefined || typeof node === "boolean") return null;
+    if (typeof node === "string" || typeof node === "number") return node;
+    if (Array.isArray(node)) return node.map(encode);
+
+    if (!React.isValidElement(node)) {
+      // plain data (props like `product={...}`)
+      const data = {};
+      Object.keys(node).forEach((key) => (data[key] = encode(node[key])));
+      return data;
+    }
+
+    const { type, props } = node;
+    const key = node.key ?? undefined; // dropped by JSON when missing
+
+    if (type === React.Fragment) return encode(props.children);
+
+    if (typeof type === "string") {
+      return { $el: type, key, props: encodeProps(props, type) };
+    }
+
+    if (isClientReference(type)) {
+      if (!moduleRowIds.has(type.moduleId)) {
+        const rowId = `M${moduleRowIds.size + 1}`;
+        moduleRowIds.set(type.moduleId, rowId);
+        emit({ type: "module", id: rowId, module: type.moduleId }); // before first use
+      }
+      return {
+        $el: "$client",
+        ref: moduleRowIds.get(type.moduleId),
+        key,
+        props: encodeProps(props, type.displayName),
+      };
+    }
+
+    if (typeof type === "function") {
+      const output = type(props); // server component: just call it
+      if (!output || typeof output.then !== "function") return encode(output);
+
+      // async → placeholder now, own row later
+      const id = nextId++;
+      pending++;
+      output
+        .then(
+          (resolved) => emit({ type: "model", id, value: encode(resolved) }),
+          (error) => emitError(id, error)
+        )
+        .catch((error) => emitError(id, error))
+        .finally(() => {
+          pending--;
+          if (wake) wake();
+        });
+      return { $lazy: id, key };
+    }
+
+    throw new Error(`Unsupported element type: ${String(type)}`);
+  };
+
+  return (async function* stream() {
+    try {
+      emit({ type: "model", id: 0, value: encode(element) });
+    } catch (error) {
+      emitError(0, error);
+    }
+    while (rows.length > 0 || pending > 0) {
+      if (rows.length > 0) {
+        yield rows.shift();
+      } else {
+        await new Promise((resolve) => (wake = resolve));
+        wake = null;
+      }
+    }
+  })();
+}
+
+// ---------- 🖥️ Server: local Express stand-in ----------
+
+// Same `app.get(path, (req, res) => ...)` shape as Express, but requests stay in-process
+function createLocalServer() {
+  const routes = new Map();
+  const encoder = new TextEncoder();
+
+  return {
+    get(path, handler) {
+      routes.set(path, handler);
+    },
+    // like `fetch(path)` against the server → Response with a streamed body
+    async request(path) {
+      const handler = routes.get(path);
+      if (!handler) return new Response("Not found", { status: 404 });
+
+      const headers = {};
+      let statusCode = 200;
+      let started;
+      const ready = new Promise((resolve) => (started = resolve));
+
+      const body = new ReadableStream({
+        start(controller) {
+          const res = {
+            status(code) {
+              statusCode = code;
+              return res;
+            },
+            setHeader: (name, value) => (headers[name] = value),
+            write(chunk) {
+              started();
+              controller.enqueue(encoder.encode(chunk));
+            },
+            end(chunk) {
+              if (chunk) res.write(chunk);
+              started();
+              controller.close();
+            },
+          };
+          Promise.resolve(handler({ path }, res)).catch((error) => {
+            started();
+            controller.error(error);
+          });
+        },
+      });
+
+      await ready; // headers are "sent" with the first chunk
+      return new Response(body, { status: statusCode, headers });
+    },
+  };
+}
+
+async function ServerProductPage() {
+  return (
+    <div>
+      <h1>Shop</h1>
+      <ServerProductList />
+    </div>
+  );
+}
+
+const app = createLocalServer(); // real server: `const app = express()`
+
+app.get("/rsc/products", async (req, res) => {
+  res.setHeader("Content-Type", "application/x-ndjson");
+  for await (const row of renderToWireStream(<ServerProductPage />)) {
+    res.write(row);
+  }
+  res.end();
+});
+
+// ---------- 🌐 Client: runtime ----------
+
+async function* readLines(source) {
+  const stream = await source;
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const chunks = stream.getReader
+    ? (async function* read() {
+        const reader = stream.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) return;
+          yield value;
+        }
+      })()
+    : stream; // async iterable of strings (e.g. renderToWireStream directly)
+
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) if (line.trim()) yield line;
+  }
+  if (buffer.trim()) yield buffer;
+}
+
+// Returns a React node right away; parts fill in (via Suspense) as rows arrive
+function createFromWireStream(source, registry = clientRegistry) {
+  const rows = new Map(); // id → { promise, resolve, reject }
+  const modules = new Map(); // "M1" → Promise<Component>
+  const lazyCache = new Map();
+
+  const rowFor = (id) => {
+    if (!rows.has(id)) {
+      const row = {};
+      row.promise = new Promise((resolve, reject) => {
+        row.resolve = resolve;
+        row.reject = reject;
+      });
+      row.promise.catch(() => {}); // surfaced by the error boundary when rendered
+      rows.set(id, row);
+    }
+    return rows.get(id);
+  };
+
+  const lazyOnce = (cacheKey, load) => {
+    if (!lazyCache.has(cacheKey)) lazyCache.set(cacheKey, lazy(load));
+    return lazyCache.get(cacheKey);
+  };
+
+  const decode = (value) => {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(decode);
+
+    if ("$lazy" in value) {
+      const Part = lazyOnce(`row:${value.$lazy}`, () =>
+        rowFor(value.$lazy).promise.then((node) => ({ default: () => node }))
+      );
+      return <Part key={value.key ?? undefined} />;
+    }
+
+    if ("$el" in value) {
+      const { children, ...props } = decode(value.props);
+      if (value.key != null) props.key = value.key;
+      // spread static children back out (like JSX does) so React doesn't ask for keys
+      const childList = Array.isArray(children) ? children : children == null ? [] : [children];
+
+      if (value.$el === "$client") {
+        const ClientComponent = lazyOnce(`module:${value.ref}`, () =>
+          modules.get(value.ref).then((Loaded) => ({ default: Loaded }))
+        );
+        return React.createElement(ClientComponent, props, ...childList); // 💧 live, interactive
+      }
+      return React.createElement(value.$el, props, ...childList);
+    }
+
+    const data = {};
+    Object.keys(value).forEach((key) => (data[key] = decode(value[key])));
+    return data;
+  };
+
+  (async () => {
+    try {
+      for await (const line of readLines(source)) {
+        const row = JSON.parse(line);
+        if (row.type === "module") {
+          const loading = registry.load(row.module);
+          loading.catch(() => {}); // reported when rendered
+          modules.set(row.id, loading);
+        } else if (row.type === "model") {
+          rowFor(row.id).resolve(decode(row.value));
+        } else if (row.type === "error") {
+          rowFor(row.id).reject(Object.assign(new Error(row.message), { digest: row.digest }));
+        }
+      }
+    } catch (error) {
+      rows.forEach((row) => row.reject(error));
+      rowFor(0).reject(error);
+    }
+    // stream ended: anything still missing will never arrive
+    rows.forEach((row) => row.reject(new Error("Connection closed")));
+  })();
+
+  return decode({ $lazy: 0 });
+}
+
+class WireErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    const { error } = this.state;
+    if (error) {
+      // The digest lets support find the real error in the server logs
+      return <p>⚠️ {error.message}{error.digest && ` (ref: ${error.digest})`}</p>;
+    }
+    return this.props.children;
+  }
+}
+
+// ✅ Client entry: same page, driven entirely by what the server streams
+function ShopFromServer({ load = () => app.request("/rsc/products").then((r) => r.body) }) {
+  const [tree] = useState(() => createFromWireStream(load()));
+  return (
+    <WireErrorBoundary>
+      <Suspense fallback={<p>Loading shop…</p>}>{tree}</Suspense>
+    </WireErrorBoundary>
+  );
+}
+
+/*
+⚠️ Simplifications vs real RSC:
+- No nested Suspense boundaries from the server (each async part just suspends on the client).
+- Props are plain JSON (no Dates/Maps/Promises, no server actions).
+- Module ids come from the registry, not from the bundler's manifest.
+
+---
+
+✅ Summary (protocol)
+- Server: call server components, await async ones, stream their OUTPUT as JSON rows.
+- Client components travel as references (module ids), never as code from the server.
+- Client: rebuild the tree, load referenced components from the registry, let Suspense
+  fill in streamed parts.
+
+---
+
+❓ Q & A
+
+Q1: Why can't a server component pass `onClick` to a client component?
+👉 Props cross the network as JSON – functions can't be serialized. Handlers must live in
+   client components (or be server actions in real RSC).
+
+Q2: How does streaming improve UX here?
+👉 The shell (`<h1>Shop</h1>`) is sent immediately; slow parts (DB-backed lists) arrive as
+   separate rows and replace their Suspense fallback when ready.
+
+Q3: What does the client registry do?
+👉 Maps module ids from the wire format to real components (or lazy imports). In
+   frameworks the bundler generates this mapping (the "client manifest").
+
+Q4: How are errors in async server components handled?
+👉 The server logs the real error and sends an `error` row for that part with only a
+   generic message + digest; the client rejects its placeholder and the nearest error
+   boundary renders a fallback (showing the digest, never server internals). Streamed rows that already arrived are
+   unaffected, so a boundary close to the risky part keeps the rest of the page working.
+*/
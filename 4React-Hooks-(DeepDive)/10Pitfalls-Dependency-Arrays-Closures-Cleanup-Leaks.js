@@ -14,6 +14,7 @@ React hooks are powerful, but several pitfalls can lead to bugs or memory leaks.
 ✅ Example – Missing Dependency
 */
 import React, { useEffect, useState } from "react";
+import { useInterval } from "../3State-And-LifeCycles/6Avoiding-Stale-Closures-And-State-Splits";
 
 function Counter({ step }) {
   const [count, setCount] = useState(0);
@@ -41,6 +42,18 @@ useEffect(() => {
   return () => clearInterval(interval);
 }, [step]);
 
+/*
+✅ Even better – useInterval (3State-And-LifeCycles/6Avoiding-Stale-Closures-And-State-Splits.js)
+- Always runs the latest callback, so `step` can change without restarting the timer.
+- Drift-corrected, pauses in hidden tabs, cleans up on unmount.
+*/
+function CounterWithInterval({ step }) {
+  const [count, setCount] = useState(0);
+  useInterval(() => setCount((c) => c + step), 1000);
+
+  return <p>Count: {count}</p>;
+}
+
 /*
 ----------------------------------------------------
 2️⃣ Stale Closures
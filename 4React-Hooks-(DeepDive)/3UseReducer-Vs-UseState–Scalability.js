@@ -15,7 +15,7 @@ They serve different purposes depending on complexity and scalability.
 
 ✅ Example:
 */
-import { useState, useReducer } from "react";
+import { useState, useReducer, useMemo, useCallback, useEffect } from "react";
 
 function CounterWithState() {
   const [count, setCount] = useState(0);
@@ -134,6 +134,204 @@ const [form, dispatch] = useReducer(formReducer, {
   onChange={(e) => dispatch({ field: "name", value: e.target.value })}
 />
 
+----------------------------------------------------
+6️⃣ Bonus: Undo / Redo for Any Reducer
+----------------------------------------------------
+- Because every change goes through ONE reducer, history can be added from the outside.
+- `withHistory(reducer, { limit, groupBy, filter })` → higher-order reducer.
+  State becomes `{ past, present, future, lastAction }`.
+- `undo / redo / jump(n) / clear` are just actions; `canUndo / canRedo` come from the arrays.
+- `groupBy(action, lastAction)` → true = merge into the current entry
+  (`groupByTimeWindow(500)` → typing "hello" is ONE undo step, not five).
+- `filter(action)` → false = change state but don't record it (`excludeActions("ui/hover")`).
+- `useUndoableReducer` wires it to React + stamps `meta.time` on each action.
+*/
+
+const UNDO = "@@history/UNDO";
+const REDO = "@@history/REDO";
+const JUMP = "@@history/JUMP";
+const CLEAR = "@@history/CLEAR";
+
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastAction: null,
+});
+
+// Merge actions with the same key (default: form field / type) if they're close in time
+export const groupByTimeWindow =
+  (windowMs = 500, keyOf = (action) => action.field ?? action.type) =>
+  (action, lastAction) =>
+    lastAction !== null &&
+    keyOf(action) === keyOf(lastAction) &&
+    (action.meta?.time ?? 0) - (lastAction.meta?.time ?? 0) <= windowMs;
+
+export const excludeActions =
+  (...types) =>
+  (action) =>
+    !types.includes(action.type);
+
+export function withHistory(
+  reducer,
+  { limit = 100, groupBy = () => false, filter = () => true } = {}
+) {
+  return function historyReducer(history, action) {
+    const { past, present, future } = history;
+
+    switch (action.type) {
+      case UNDO:
+        if (past.length === 0) return history;
+        return {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future],
+          lastAction: null, // next change starts a fresh entry
+        };
+
+      case REDO:
+        if (future.length === 0) return history;
+        return {
+          past: [...past, present],
+          present: future[0],
+          future: future.slice(1),
+          lastAction: null,
+        };
+
+      case JUMP: {
+        // jump(-2) → two steps back, jump(3) → three steps forward
+        const steps = action.steps;
+        if (steps === 0 || -steps > past.length || steps > future.length) return history;
+        const timeline = [...past, present, ...future];
+        const index = past.length + steps;
+        return {
+          past: timeline.slice(0, index),
+          present: timeline[index],
+          future: timeline.slice(index + 1),
+          lastAction: null,
+        };
+      }
+
+      case CLEAR:
+        return createHistory(present);
+
+      default: {
+        const next = reducer(present, action);
+        if (Object.is(next, present)) return history; // no-op → nothing to undo
+
+        if (!filter(action, next, present)) return { ...history, present: next };
+
+        if (past.length > 0 && groupBy(action, history.lastAction)) {
+          return { past, present: next, future: [], lastAction: action };
+        }
+
+        return {
+          past: [...past, present].slice(-limit),
+          present: next,
+          future: [], // a new change invalidates the redo stack
+          lastAction: action,
+        };
+      }
+    }
+  };
+}
+
+export function useUndoableReducer(reducer, initialState, options = {}) {
+  const { limit, groupBy, filter } = options;
+  const historyReducer = useMemo(
+    () => withHistory(reducer, { limit, groupBy, filter }),
+    [reducer, limit, groupBy, filter]
+  );
+  const [history, rawDispatch] = useReducer(historyReducer, initialState, createHistory);
+
+  const dispatch = useCallback(
+    (action) => rawDispatch({ ...action, meta: { ...action.meta, time: Date.now() } }),
+    []
+  );
+
+  const controls = useMemo(
+    () => ({
+      undo: () => rawDispatch({ type: UNDO }),
+      redo: () => rawDispatch({ type: REDO }),
+      jump: (steps) => rawDispatch({ type: JUMP, steps }),
+      clear: () => rawDispatch({ type: CLEAR }),
+    }),
+    []
+  );
+
+  return [
+    history.present,
+    dispatch,
+    {
+      ...controls,
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0,
+      past: history.past,
+      future: history.future,
+    },
+  ];
+}
+
+// Ctrl+Z / Cmd+Z → undo, Ctrl+Shift+Z / Ctrl+Y → redo
+// `target` defaults to window INSIDE the effect → safe to render on the server
+export function useUndoShortcuts({ undo, redo }, target) {
+  useEffect(() => {
+    const el = target ?? window;
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) undo();
+      else if ((key === "z" && event.shiftKey) || key === "y") redo();
+      else return;
+      event.preventDefault(); // browser's own undo doesn't know our state
+    };
+    el.addEventListener("keydown", onKeyDown);
+    return () => el.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo, target]);
+}
+
+// Usage → the form from section 5️⃣ with reliable undo
+const formReducer = (state, action) => {
+  if (action.type === "reset") return action.values;
+  return { ...state, [action.field]: action.value };
+};
+
+const groupTyping = groupByTimeWindow(500); // module level → stable reference
+
+function FormWithUndo() {
+  const [form, dispatch, history] = useUndoableReducer(
+    formReducer,
+    { name: "", email: "", password: "" },
+    { limit: 50, groupBy: groupTyping }
+  );
+  useUndoShortcuts(history);
+
+  const field = (name, type = "text") => (
+    <input
+      type={type}
+      value={form[name]}
+      onChange={(e) => dispatch({ field: name, value: e.target.value })}
+    />
+  );
+
+  return (
+    <div>
+      {field("name")}
+      {field("email", "email")}
+      {field("password", "password")}
+      <button onClick={history.undo} disabled={!history.canUndo}>
+        ↩️ Undo
+      </button>
+      <button onClick={history.redo} disabled={!history.canRedo}>
+        ↪️ Redo
+      </button>
+      <button onClick={() => history.jump(-history.past.length)} disabled={!history.canUndo}>
+        ⏮️ Back to start
+      </button>
+    </div>
+  );
+}
+
 /*
 ----------------------------------------------------
 ❓ Q & A
@@ -150,6 +348,14 @@ Q3: Can we replace all `useState` with `useReducer`?
 Q4: Why is `useReducer` good for debugging?  
 👉 Because state updates are action-driven, making it easier to track and log changes.
 
+Q5: How would you add undo/redo to a `useReducer` component?  
+👉 Wrap the reducer in a higher-order reducer that keeps `{ past, present, future }`
+   (`withHistory`). Undo/redo are just more actions; the original reducer stays unchanged.
+
+Q6: Why group actions in a time window?  
+👉 Each keystroke is an action. Without grouping, undo removes one character at a time;
+   merging same-field changes within ~500ms makes one undo step feel like one "edit".
+
 ====================================================
 End of Notes 🚀
 ====================================================
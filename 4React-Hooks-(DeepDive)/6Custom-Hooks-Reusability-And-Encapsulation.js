@@ -15,7 +15,13 @@ They always start with `use` and can call other hooks inside.
 1️⃣ Example – Without Custom Hook (Repetition)
 ----------------------------------------------------
 */
-import React, { useState, useEffect } from "react";
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useSyncExternalStore,
+} from "react";
 
 function WindowSizeComponent1() {
   const [width, setWidth] = useState(window.innerWidth);
@@ -48,20 +54,8 @@ function WindowSizeComponent2() {
 2️⃣ Example – With Custom Hook (Reusable)
 ----------------------------------------------------
 */
-function useWindowWidth() {
-  const [width, setWidth] = useState(window.innerWidth);
-
-  useEffect(() => {
-    const handleResize = () => setWidth(window.innerWidth);
-    window.addEventListener("resize", handleResize);
-    return () => window.removeEventListener("resize", handleResize);
-  }, []);
-
-  return width;
-}
-
 function WindowComponentA() {
-  const width = useWindowWidth();
+  const width = useWindowWidth(); // defined in 2️⃣.1 below
   return <p>Window width: {width}</p>;
 }
 
@@ -73,6 +67,238 @@ function WindowComponentB() {
 /*
 ✅ Advantage: Logic is written once → used in multiple places.
 
+⚠️ The first version most people write just moves the copy-pasted code into a hook:
+
+  function useWindowWidth() {
+    const [width, setWidth] = useState(window.innerWidth);
+    useEffect(() => {
+      const handleResize = () => setWidth(window.innerWidth);
+      window.addEventListener("resize", handleResize);
+      return () => window.removeEventListener("resize", handleResize);
+    }, []);
+    return width;
+  }
+
+It doesn't scale:
+- Every caller adds its OWN `resize` listener (a dashboard with 40 widgets → 40 listeners).
+- `resize` fires many times per frame → many state updates per frame.
+- `window.innerWidth` is read during render → crashes on the server (SSR).
+
+----------------------------------------------------
+2️⃣.1 Example – Shared, Throttled Viewport Store
+----------------------------------------------------
+- ONE viewport store: a single `resize` listener (added on first subscriber,
+  removed after the last), updates batched to one per animation frame (rAF).
+- Hooks read it with `useSyncExternalStore`:
+  - `useViewportSize()` → { width, height }
+  - `useMediaQuery(query)` → boolean (one `matchMedia` listener per query, shared)
+  - `useBreakpoint(breakpointMap)` → "sm" | "md" | ... (re-renders only when the NAME changes)
+  - `useElementSize(ref)` → { width, height } of an element (one shared ResizeObserver)
+- Server snapshot = a fixed default → SSR works and hydration matches the server HTML;
+  the real values arrive right after hydration.
+*/
+
+const SERVER_VIEWPORT = { width: 1024, height: 768 }; // hydration-safe default
+
+const isBrowser = typeof window !== "undefined";
+
+// useLayoutEffect warns on the server; measure before paint in the browser
+const useIsomorphicLayoutEffect = isBrowser ? useLayoutEffect : useEffect;
+
+function createViewportStore() {
+  let snapshot = SERVER_VIEWPORT;
+  let frame = null;
+  const listeners = new Set();
+
+  // Same object until the size really changes (useSyncExternalStore needs that)
+  const read = () => {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    if (width !== snapshot.width || height !== snapshot.height) snapshot = { width, height };
+    return snapshot;
+  };
+
+  const onResize = () => {
+    if (frame !== null) return; // already scheduled for this frame
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      const previous = snapshot;
+      if (read() !== previous) listeners.forEach((listener) => listener());
+    });
+  };
+
+  return {
+    subscribe(listener) {
+      if (listeners.size === 0) {
+        read();
+        window.addEventListener("resize", onResize, { passive: true });
+        window.addEventListener("orientationchange", onResize);
+      }
+      listeners.add(listener);
+
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size > 0) return;
+        window.removeEventListener("resize", onResize);
+        window.removeEventListener("orientationchange", onResize);
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+      };
+    },
+    // No subscribers yet (first render) → read directly so there's no flash of the default
+    getSnapshot: () => (listeners.size === 0 ? read() : snapshot),
+    getServerSnapshot: () => SERVER_VIEWPORT,
+  };
+}
+
+const viewportStore = createViewportStore(); // shared by every hook below
+
+export function useViewportSize() {
+  return useSyncExternalStore(
+    viewportStore.subscribe,
+    viewportStore.getSnapshot,
+    viewportStore.getServerSnapshot
+  );
+}
+
+// Same API as the naive version above: one shared listener, SSR-safe
+export function useWindowWidth() {
+  return useViewportSize().width;
+}
+
+const mediaQueryStores = new Map(); // query → store (shared between components)
+
+function getMediaQueryStore(query) {
+  if (!mediaQueryStores.has(query)) {
+    const mql = window.matchMedia(query);
+    mediaQueryStores.set(query, {
+      subscribe(listener) {
+        // addListener → old Safari
+        if (mql.addEventListener) mql.addEventListener("change", listener);
+        else mql.addListener(listener);
+        return () => {
+          if (mql.removeEventListener) mql.removeEventListener("change", listener);
+          else mql.removeListener(listener);
+        };
+      },
+      getSnapshot: () => mql.matches,
+    });
+  }
+  return mediaQueryStores.get(query);
+}
+
+const noopSubscribe = () => () => {};
+
+export function useMediaQuery(query, { defaultValue = false } = {}) {
+  const store = isBrowser ? getMediaQueryStore(query) : null;
+  return useSyncExternalStore(
+    store ? store.subscribe : noopSubscribe,
+    store ? store.getSnapshot : () => defaultValue,
+    () => defaultValue // server + hydration
+  );
+}
+
+export const DEFAULT_BREAKPOINTS = { xs: 0, sm: 640, md: 768, lg: 1024, xl: 1280 };
+
+// Largest breakpoint whose min-width fits
+const pickBreakpoint = (breakpoints, width) =>
+  Object.entries(breakpoints)
+    .sort(([, a], [, b]) => a - b)
+    .reduce((current, [name, minWidth]) => (width >= minWidth ? name : current), null);
+
+export function useBreakpoint(breakpoints = DEFAULT_BREAKPOINTS, { defaultBreakpoint } = {}) {
+  // Snapshot is a string → components re-render only when the breakpoint changes
+  return useSyncExternalStore(
+    viewportStore.subscribe,
+    () => pickBreakpoint(breakpoints, viewportStore.getSnapshot().width),
+    () => defaultBreakpoint ?? pickBreakpoint(breakpoints, SERVER_VIEWPORT.width)
+  );
+}
+
+let sharedResizeObserver = null;
+const elementCallbacks = new Map(); // element → Set<callback>
+
+function observeElement(element, callback) {
+  if (!sharedResizeObserver) {
+    sharedResizeObserver = new ResizeObserver((entries) => {
+      entries.forEach((entry) => {
+        const callbacks = elementCallbacks.get(entry.target);
+        if (callbacks) callbacks.forEach((cb) => cb(entry));
+      });
+    });
+  }
+
+  let callbacks = elementCallbacks.get(element);
+  if (!callbacks) {
+    callbacks = new Set();
+    elementCallbacks.set(element, callbacks);
+    sharedResizeObserver.observe(element);
+  }
+  callbacks.add(callback);
+
+  return () => {
+    callbacks.delete(callback);
+    if (callbacks.size > 0) return;
+    elementCallbacks.delete(element);
+    sharedResizeObserver.unobserve(element);
+  };
+}
+
+const EMPTY_SIZE = { width: 0, height: 0 };
+
+// Border-box size of `ref.current` (pass a stable ref; the element should not be swapped)
+export function useElementSize(ref, { defaultSize = EMPTY_SIZE } = {}) {
+  const [size, setSize] = useState(defaultSize); // server + first render
+
+  useIsomorphicLayoutEffect(() => {
+    const element = ref.current;
+    if (!element || typeof ResizeObserver === "undefined") return;
+
+    const update = (width, height) =>
+      setSize((prev) =>
+        prev.width === width && prev.height === height ? prev : { width, height }
+      );
+
+    update(element.offsetWidth, element.offsetHeight); // before first paint
+    return observeElement(element, (entry) => {
+      const box = entry.borderBoxSize && entry.borderBoxSize[0];
+      if (box) update(box.inlineSize, box.blockSize);
+      else update(element.offsetWidth, element.offsetHeight);
+    });
+  }, [ref]);
+
+  return size;
+}
+
+// Usage → dozens of these widgets still share one resize listener + one ResizeObserver
+function DashboardWidget({ title }) {
+  const breakpoint = useBreakpoint();
+  const reduceMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+  const panelRef = useRef(null);
+  const { width } = useElementSize(panelRef);
+
+  return (
+    <section ref={panelRef} className={reduceMotion ? "static" : "animated"}>
+      <h3>{title}</h3>
+      {breakpoint === "xs" || breakpoint === "sm" ? (
+        <p>Compact view</p>
+      ) : (
+        <p>Chart ({Math.round(width)}px wide)</p>
+      )}
+    </section>
+  );
+}
+
+function ViewportInfo() {
+  const { width, height } = useViewportSize();
+  return (
+    <p>
+      Viewport: {width} × {height}
+    </p>
+  );
+}
+
+/*
 ----------------------------------------------------
 3️⃣ Example – Encapsulation of Business Logic
 ----------------------------------------------------
@@ -101,6 +327,8 @@ function Dashboard() {
 - Can use other hooks (`useState`, `useEffect`, etc.).
 - Should return state, values, or functions.
 - Keep them pure → no direct rendering logic.
+- Don't touch browser globals (`window`, `document`) during render → breaks SSR.
+- Many callers? Share one subscription (external store) instead of one listener each.
 
 ----------------------------------------------------
 ❓ Q & A Section
@@ -120,6 +348,14 @@ Q4: Do custom hooks replace Context/Redux?
 Q5: What’s an example use case?  
 👉 Authentication, form handling, fetching data, window resize tracking.
 
+Q6: Why use `useSyncExternalStore` for viewport / media-query hooks?  
+👉 The browser is an external source. uSES gives one shared subscription, tear-free reads
+   in concurrent rendering, and a `getServerSnapshot` for SSR + hydration.
+
+Q7: Why throttle resize updates with `requestAnimationFrame`?  
+👉 `resize` can fire many times per frame; the screen only repaints once per frame.
+   Batching to one update per frame avoids wasted renders.
+
 ====================================================
 End of Notes 🚀
 ====================================================
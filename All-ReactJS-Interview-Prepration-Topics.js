@@ -100,4 +100,7 @@ Redux Interview Questions
 7. What is Slice
 8. Redux state update is sync vs async
 
+👉 Code: 17Redux/1Redux-Core-From-Scratch-Store-Middleware-Thunk-Bindings.js
+   (store, combineReducers, middleware, thunk, Provider/useSelector – tests in the .test.js next to it)
+
 */